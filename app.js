@@ -1,365 +1,2283 @@
-import { buildGridGraph } from './graph.js';
-import { fetchRoadGraph } from './osm.js';
-import { searchPlaces } from './geocode.js';
-
-// Dijkstra's Algorithm (simple implementation with a linear priority queue)
-function dijkstra(adjacency, start, goal, opts = {}) {
-  const { avoidUnpaved = false, unpavedFactor = 3 } = opts;
-  const dist = Object.create(null);
-  const prev = Object.create(null);
-  const visited = new Set();
-  const nodes = Object.keys(adjacency);
-
-  // Initialize distances
-  for (const n of nodes) dist[n] = Infinity;
-  dist[start] = 0;
-
-  // A very simple priority queue using an array (fine for small graphs)
-  const queue = new Set(nodes);
-
-  while (queue.size) {
-    // Pick node u with smallest dist
-    let u = null;
-    let best = Infinity;
-    for (const n of queue) {
-      if (dist[n] < best) {
-        best = dist[n];
-        u = n;
-      }
-    }
+import { GENERATORS, generateGraph } from './graph.js';
+import { toBBox } from './osm.js';
+import { createTileStore } from './tiles.js';
+import { clearRoadCache } from './graphcache.js';
+import { graphToGeoJSON, graphFromGeoJSON } from './geojson.js';
+import { createGeocoder, nominatimProvider, photonProvider, gazetteerProvider } from './geocode.js';
+import { dijkstra, astar, bidirectional, findRoute, routeTotals, ALGORITHMS } from './routing.js';
+import { PROFILES } from './profiles.js';
+import { buildDirections, formatMeters, roadLabel } from './directions.js';
+import { buildCostMatrix, optimizeStopOrder } from './stoporder.js';
+import { buildSpatialIndex, nearestEdge, edgesNear, insertVirtualNode, removeVirtualNode } from './spatial.js';
+import { connectedComponents, islandSummary, pruneIslands } from './connectivity.js';
+import { routeToGPX, routeToGeoJSON, routeToKML, parseGPX, routeFromPath } from './routefiles.js';
+import { matchTrack } from './mapmatch.js';
+import { recordSearch, createTracePlayer } from './searchtrace.js';
+import { isochrones } from './isochrone.js';
+import { distanceMatrix, nearestOrigins, parseLocationsCSV, matrixToCSV } from './matrix.js';
+import { contractGraph } from './simplify.js';
+import { edgePoints, sliceLine } from './geo.js';
+import { createRouteClient } from './routeclient.js';
+import { createGraphLayer } from './graphcanvas.js';
+import { summarizeRoute, runsBy, pointAlong } from './routesummary.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { edgeFactors, edgeFactorOption, ruleEdges, parseRules, DEFAULT_PENALTY } from './avoidance.js';
+import { PRESETS, SURFACES, normalizeModel, parseCostSettings } from './costmodel.js';
+import { REGIONS, findRegion, regionContains, toLatLngBounds } from './regions.js';
 
-    if (u === null) break; // Unreachable nodes remain
-    queue.delete(u);
-    visited.add(u);
+// Leaflet Map Setup - open world until a region is picked, which then clamps panning to its bounds
+const map = L.map('map', { zoomControl: true, maxBoundsViscosity: 1 });
+map.setView([20, 0], 2); // world view
+L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+  maxZoom: 19,
+  attribution: '&copy; OpenStreetMap contributors',
+}).addTo(map);
 
-    if (u === goal) break; // Found shortest path to goal
+// Graph state (can be grid or OSM-backed)
+let currentGraph = { nodes: [], edges: [], adjacency: {} };
+let nodeById = new Map(); // includes the virtual nodes that stops are snapped to
+let spatialIndex = null;
+let components = null;
+// The whole graph on one canvas (graphcanvas.js); hovering a road tells what the graph knows about it
+const graphLayer = createGraphLayer({ hitTest: hoveredEdge, describe: describeEdge }).addTo(map);
 
-    for (const { to: v, weight: w, unpaved } of adjacency[u]) {
-      if (visited.has(v)) continue;
-      const factor = (avoidUnpaved && unpaved) ? unpavedFactor : 1;
-      const alt = dist[u] + w * factor;
-      if (alt < dist[v]) {
-        dist[v] = alt;
-        prev[v] = u;
-      }
-    }
-  }
+// stops[0] is the start, the last stop is the end, anything in between is an intermediate waypoint
+const stops = []; // Array<{ id: nodeId, marker: L.Marker }>
+let isoOrigin = null; // reachability mode: { id: nodeId, latlng } of the clicked origin
+// matrix mode: Array<{ name, latlng, id: nodeId | null }> per role; id is null off the road network
+const matrixPoints = { origin: [], destination: [] };
 
-  // Reconstruct path
-  const path = [];
-  let u = goal;
-  if (prev[u] !== undefined || u === start) {
-    while (u !== undefined) {
-      path.unshift(u);
-      u = prev[u];
-    }
-  }
+const simplifyEl = document.getElementById('simplifyGraph');
+const graphStatsEl = document.getElementById('graphStats');
+const pruneIslandsEl = document.getElementById('pruneIslands');
+const minIslandEl = document.getElementById('minIslandSize');
+const islandsPanel = document.getElementById('islandsPanel');
+const islandsSummaryEl = document.getElementById('islandsSummary');
+const islandsListEl = document.getElementById('islandsList');
+const ISLAND_COLORS = ['#e11d48', '#7c3aed', '#0891b2', '#ca8a04', '#db2777', '#4f46e5'];
+// { graph } built on the page, or { data }: Overpass JSON the route worker builds the graph from
+let graphSource = null;
+let graphVersion = 0; // bumps on every switch, so a late worker build can tell it is stale
 
-  return {
-    distance: dist[goal],
-    path,
-    visitedCount: visited.size,
-  };
+// Route queries (and building road graphs) run in a worker; edges travel as indices into graph.edges
+const routeClient = createRouteClient();
+let edgeIndex = new Map();
+const virtualSnaps = new Map(); // virtual node id -> where it splits its edge, sent along with queries
+
+// Avoidance zones and road closures (avoidance.js), kept in localStorage between sessions
+const RULES_STORAGE_KEY = 'dijnav.avoidance';
+const rulesLayer = L.layerGroup().addTo(map);
+const RULE_COLORS = { avoid: '#ef4444', penalty: '#f97316', closure: '#dc2626' };
+let rules = parseRules(localStorage.getItem(RULES_STORAGE_KEY));
+let editingZone = null; // id of the zone whose corners can be dragged
+let avoidanceCache = null; // { graph, edgeFactor } of the current rules
+
+// Selected region (regions.js), null for the open world
+let currentRegion = null;
+let regionGraph = { region: null, source: null }; // which region's bundled graph graphSource holds
+
+// Virtual nodes live in the old graph's adjacency; take them out before it may be reused
+function releaseVirtualNodes() {
+  for (const stop of stops) releaseNode(stop.id);
+  if (isoOrigin) releaseNode(isoOrigin.id);
+  for (const p of [...matrixPoints.origin, ...matrixPoints.destination]) releaseNode(p.id);
 }
 
-// Utility: Haversine distance between two lat/lng points (meters)
-function haversine(a, b) {
-  const R = 6371000;
-  const toRad = deg => deg * Math.PI / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLng = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const sinDLat = Math.sin(dLat / 2);
-  const sinDLng = Math.sin(dLng / 2);
-  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
-  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+// Graphs built on the page (synthetic grid, files); the worker gets a copy for routing
+function setGraph(graph) {
+  releaseVirtualNodes();
+  graphSource = { graph };
+  graphVersion++;
+  let shown = simplifyEl.checked ? contractGraph(graph) : graph;
+  if (minIslandSize()) shown = pruneIslands(shown, minIslandSize());
+  routeClient.load(shown).catch(err => console.error(err));
+  showGraph(shown);
+}
+
+// Road data is built into a graph in the worker, keeping the map responsive on big areas.
+// Resolves to false when another graph was set meanwhile.
+async function setRoadData(data) {
+  graphSource = { data };
+  const version = ++graphVersion;
+  const graph = await routeClient.build(data, { profile: profileEl.value, simplify: simplifyEl.checked, minIsland: minIslandSize() });
+  if (version !== graphVersion) return false;
+  releaseVirtualNodes();
+  showGraph(graph);
+  return true;
 }
 
-// Find nearest node id to a latlng
-function nearestNodeId(latlng, nodes) {
-  let bestId = null;
-  let best = Infinity;
-  for (const n of nodes) {
-    const d = haversine(latlng, { lat: n.lat, lng: n.lng });
-    if (d < best) { best = d; bestId = n.id; }
+function showGraph(graph) {
+  currentGraph = graph;
+  edgeIndex = new Map(graph.edges.map((e, i) => [e, i]));
+  nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  spatialIndex = buildSpatialIndex(graph.adjacency, getNode);
+  components = connectedComponents(graph.adjacency);
+  const stats = [];
+  if (graph.stats) {
+    const { before, after } = graph.stats;
+    stats.push(`${before.nodes} nodes, ${before.edges} edges → ${after.nodes} nodes, ${after.edges} edges simplified`);
+  } else {
+    stats.push(`${graph.nodes.length} nodes, ${graph.edges.length} edges`);
+  }
+  const islands = islandSummary(graph, components);
+  if (islands.length) stats.push(`${islands.length} disconnected island(s)`);
+  if (graph.pruned && graph.pruned.islands) stats.push(`${graph.pruned.islands} small island(s) pruned`);
+  graphStatsEl.textContent = stats.join(', ');
+  renderGraph();
+  renderIslands(islands);
+  renderRuleLayers(); // closures are drawn along the edges they match
+  resnapStops();
+  if (isoOrigin) {
+    isoOrigin.id = null;
+    showIsochrone(isoOrigin.latlng);
   }
-  return bestId;
+  if (hasMatrixPoints()) resnapMatrix();
 }
 
-// Leaflet Map Setup - open world (no max bounds)
-const map = L.map('map', { zoomControl: true });
-map.setView([20, 0], 2); // world view
-L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-  maxZoom: 19,
-  attribution: '&copy; OpenStreetMap contributors',
-}).addTo(map);
+function getNode(id) { return nodeById.get(id); }
 
-// Graph state (can be grid or OSM-backed)
-let currentGraph = { nodes: [], edges: [], adjacency: {} };
-const graphLayer = L.layerGroup().addTo(map);
+// Component of a graph node or of the edge a virtual node splits
+function componentOfNode(id) {
+  const snap = virtualSnaps.get(id);
+  return components.componentOf.get(snap ? snap.from : id);
+}
 
-function setGraph(graph) {
-  currentGraph = graph;
-  renderGraph();
+// --- Connectivity: road pieces cut off from the main network (e.g. at the edge of the loaded area) ---
+function minIslandSize() {
+  const size = Math.round(Number(minIslandEl.value));
+  return pruneIslandsEl.checked && size > 1 ? size : 0;
 }
 
-function renderGraph() {
-  graphLayer.clearLayers();
-  const { nodes, edges } = currentGraph;
-  for (const e of edges) {
-    const a = nodes.find(n => n.id === e.from);
-    const b = nodes.find(n => n.id === e.to);
-    if (!a || !b) continue;
-    const color = e.unpaved ? '#b45309' /* amber-700 */ : '#16a34a' /* green-600 */;
-    L.polyline([[a.lat, a.lng], [b.lat, b.lng]], { color, weight: 2, opacity: 0.7 }).addTo(graphLayer);
+// Connectivity panel: the islands of the graph (islandSummary), shown with "Show graph"
+function renderIslands(islands) {
+  const mainSize = components.sizes[components.main] || 0;
+  const pruned = currentGraph.pruned && currentGraph.pruned.islands
+    ? ` ${currentGraph.pruned.islands} smaller island(s) with ${currentGraph.pruned.nodes} nodes were pruned.` : '';
+  islandsSummaryEl.textContent = islands.length
+    ? `Main network: ${mainSize} nodes. ${islands.length} island(s) with ${islands.reduce((sum, i) => sum + i.nodes, 0)} nodes are not connected to it.${pruned}`
+    : `All ${mainSize} nodes are connected.${pruned}`;
+  islandsListEl.innerHTML = '';
+  islands.slice(0, 10).forEach((island, i) => {
+    const li = document.createElement('li');
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = ISLAND_COLORS[(island.component - 1) % ISLAND_COLORS.length];
+    li.append(dot, ` Island ${i + 1}: ${island.nodes} nodes, ${formatMeters(island.length)} of road`);
+    const { south, west, north, east } = island.bounds;
+    li.addEventListener('click', () => map.fitBounds([[south, west], [north, east]], { padding: [60, 60], maxZoom: 18 }));
+    islandsListEl.appendChild(li);
+  });
+  if (islands.length > 10) {
+    const li = document.createElement('li');
+    li.textContent = `… and ${islands.length - 10} more`;
+    islandsListEl.appendChild(li);
+  }
+}
+
+// Move every stop that is not on the main network to the nearest node of it
+function snapStopsToMain() {
+  const onMain = from => components.componentOf.get(from) === components.main;
+  for (const stop of stops) {
+    if (componentOfNode(stop.id) === components.main) continue;
+    const snap = nearestEdge(spatialIndex, stop.marker.getLatLng(), { filter: onMain });
+    if (!snap) continue;
+    releaseNode(stop.id);
+    stop.id = snap.t < 0.5 ? snap.from : snap.edge.to;
+    const n = getNode(stop.id);
+    stop.marker.setLatLng([n.lat, n.lng]);
   }
-  // small node dots
-  for (const n of nodes) {
-    L.circleMarker([n.lat, n.lng], { radius: 2.5, color: '#cbd5e1', weight: 1, opacity: 0.6, fillOpacity: 0.25 }).addTo(graphLayer);
+  computeRoute({ fit: false });
+}
+
+// --- Snapping clicks onto the road network ---
+const snapMainEl = document.getElementById('snapMain');
+const SNAP_NODE_TOLERANCE_M = 2; // closer than this to an existing node: use the node itself
+const SNAP_MAX_M = 2000; // farther than this from every road: nothing to snap to
+
+// Snap a point onto the nearest road segment. Returns an existing node id when the projection lands
+// on (or right next to) a node, otherwise the id of a temporary virtual node inserted on the edge;
+// null when no road is within SNAP_MAX_M.
+function snapToRoad(latlng) {
+  const skipIslands = snapMainEl.checked && components && components.sizes.length > 1;
+  const filter = skipIslands ? (from) => components.componentOf.get(from) === components.main : null;
+  const snap = nearestEdge(spatialIndex, latlng, { filter, maxDistance: SNAP_MAX_M });
+  if (!snap) return null;
+  if (snap.t * snap.edge.weight < SNAP_NODE_TOLERANCE_M) return snap.from;
+  if ((1 - snap.t) * snap.edge.weight < SNAP_NODE_TOLERANCE_M) return snap.edge.to;
+  const node = insertVirtualNode(currentGraph, snap);
+  nodeById.set(node.id, node);
+  virtualSnaps.set(node.id, { id: node.id, edge: edgeIndex.get(snap.edge), from: snap.from, t: snap.t, lat: node.lat, lng: node.lng });
+  return node.id;
+}
+
+// Drop a virtual node once no stop uses it any more
+function releaseNode(id) {
+  const node = getNode(id);
+  if (!node || !node.virtual) return;
+  removeVirtualNode(currentGraph, id);
+  nodeById.delete(id);
+  virtualSnaps.delete(id);
+}
+
+// Move a stop to the road point nearest to latlng (and its marker with it)
+function snapStop(stop, latlng) {
+  releaseNode(stop.id);
+  stop.id = snapToRoad(latlng);
+  const n = getNode(stop.id);
+  if (n) stop.marker.setLatLng([n.lat, n.lng]);
+}
+
+// After the graph changes, put every stop back onto the new road network
+function resnapStops() {
+  for (const stop of stops) {
+    stop.id = null; // virtual nodes belonged to the previous graph
+    snapStop(stop, stop.marker.getLatLng());
   }
+  if (hasRoute()) computeRoute({ fit: false });
+}
+
+// Islands get a colour each; the main network shows paved / unpaved
+function edgeColor(e) {
+  const component = components.componentOf.get(e.from);
+  if (component !== components.main) return ISLAND_COLORS[(component - 1) % ISLAND_COLORS.length];
+  return e.unpaved ? '#b45309' /* amber-700 */ : '#16a34a' /* green-600 */;
+}
+
+function renderGraph() {
+  graphLayer.setGraph(currentGraph.edges, currentGraph.nodes, { getNode, colorOf: edgeColor });
+}
+
+// Only edges within `meters` are looked at, so hovering far from the graph stays cheap
+function hoveredEdge(latlng, meters) {
+  const [closest] = edgesNear(spatialIndex, latlng, meters);
+  return closest ? closest.edge : null;
+}
+
+function describeEdge(edge) {
+  const el = document.createElement('div');
+  const line = (text, tag = 'div') => {
+    const part = document.createElement(tag);
+    part.textContent = text;
+    el.appendChild(part);
+  };
+  line(roadLabel(edge) || edge.highway || 'Unnamed road', 'strong');
+  const surface = edge.surface ? `${edge.surface}${edge.unpaved ? ', unpaved' : ''}` : edge.unpaved ? 'unpaved' : 'paved';
+  line(`${edge.highway || 'road'}, ${surface}`);
+  line(`Weight ${formatMeters(edge.weight)}${Number.isFinite(edge.duration) ? `, ${Math.round(edge.duration)} s` : ''}`);
+  line(`Nodes ${edge.from} → ${edge.to}`);
+  return el;
+}
+
+// The synthetic graph; its center, kind and seed go into permalinks, since routes on it only match on the same graph
+const generatorEl = document.getElementById('generator');
+const seedEl = document.getElementById('seed');
+for (const [kind, generator] of Object.entries(GENERATORS)) generatorEl.add(new Option(generator.label, kind));
+let gridCenter = null;
+let gridGenerator = { kind: 'grid', seed: 1 };
+
+function setGridGraph(center, generator = { kind: generatorEl.value, seed: Number(seedEl.value) }) {
+  gridCenter = { lat: center.lat, lng: center.lng };
+  gridGenerator = {
+    kind: GENERATORS[generator.kind] ? generator.kind : 'grid',
+    seed: Number.isInteger(generator.seed) && generator.seed > 0 ? generator.seed : 1,
+  };
+  generatorEl.value = gridGenerator.kind;
+  seedEl.value = String(gridGenerator.seed);
+  setGraph(generateGraph(gridGenerator.kind, gridCenter, { seed: gridGenerator.seed }));
 }
 
 // Initialize with a small grid graph centered at the current map center
-setGraph(buildGridGraph({ lat: map.getCenter().lat, lng: map.getCenter().lng }, 7, 7, 0.0018));
+setGridGraph(map.getCenter());
+
+const showGraphEl = document.getElementById('showGraph');
 
-document.getElementById('showGraph').addEventListener('change', (e) => {
-  if (e.target.checked) {
+function setGraphVisible(visible) {
+  if (visible) {
     graphLayer.addTo(map);
   } else {
     map.removeLayer(graphLayer);
   }
+  setPanelVisible(islandsPanel, visible);
+}
+
+showGraphEl.addEventListener('change', () => {
+  setGraphVisible(showGraphEl.checked);
+  updatePermalink();
 });
 
 // Toggle to use real roads via Overpass API
 const useRoadsEl = document.getElementById('useRoads');
 const avoidUnpavedEl = document.getElementById('avoidUnpaved');
+const algorithmEl = document.getElementById('algorithm');
+const profileEl = document.getElementById('profile');
+const metricEl = document.getElementById('metric');
+
+function currentProfile() {
+  return PROFILES[profileEl.value] || PROFILES.car;
+}
 let abortCtrl = null;
+let tileStore = null; // road tiles loaded so far, while "Use roads" is on
+
+function isAbort(err) { return err && err.name === 'AbortError'; }
+
+// Fetch the road tiles of bbox that are not loaded yet and switch to the grown graph
+async function loadRoadTiles(bbox) {
+  const store = tileStore;
+  const result = await store.ensure(bbox, {
+    signal: abortCtrl.signal,
+    onProgress: (done, total) => { if (total) updateStatus(`Loading roads… ${done}/${total} tiles`); },
+  });
+  if (store === tileStore && result.added) await setRoadData(store.data());
+  return result;
+}
+
+// Make sure the roads between (and a little around) the given points are loaded before routing.
+// Returns null when nothing is missing, so callers stay synchronous in the common case.
+function loadRoadsAround(latlngs) {
+  if (!useRoadsEl.checked || !tileStore || !latlngs.length) return null;
+  const pad = tileStore.tileDeg / 2;
+  const lats = latlngs.map(p => p.lat);
+  const lngs = latlngs.map(p => p.lng);
+  const bbox = {
+    south: Math.min(...lats) - pad, west: Math.min(...lngs) - pad,
+    north: Math.max(...lats) + pad, east: Math.max(...lngs) + pad,
+  };
+  if (!tileStore.missing(bbox).length) return null;
+  return loadRoadTiles(bbox).catch((err) => {
+    if (isAbort(err)) return;
+    console.warn(err);
+    updateStatus(err.message);
+  });
+}
 
-useRoadsEl.addEventListener('change', async (e) => {
-  if (e.target.checked) {
+// Switch between road tiles around the current view and the synthetic grid
+async function setUseRoads(on) {
+  if (abortCtrl) abortCtrl.abort();
+  abortCtrl = new AbortController();
+  useRoadsEl.checked = on;
+  if (on) {
     updateStatus('Loading roads for current view…');
+    tileStore = createTileStore({ profile: profileEl.value });
     try {
-      if (abortCtrl) abortCtrl.abort();
-      abortCtrl = new AbortController();
-      const graph = await fetchRoadGraph(map.getBounds(), { signal: abortCtrl.signal });
-      setGraph(graph);
-      updateStatus('Road graph loaded. Click to select start, then end.');
-      // Fit to graph if reasonable
-      const latlngs = graph.nodes.map(n => [n.lat, n.lng]);
-      if (latlngs.length) map.fitBounds(L.latLngBounds(latlngs), { padding: [30, 30] });
+      const { fromCache, added } = await loadRoadTiles(toBBox(map.getBounds()));
+      if (!added) await setRoadData(tileStore.data());
+      const cached = fromCache ? `, ${fromCache} from offline cache` : '';
+      updateStatus(`Road graph loaded (${tileStore.tileCount} tiles${cached}). Click to select start, then end.`);
     } catch (err) {
+      if (isAbort(err)) return;
       console.error(err);
-      updateStatus('Failed to load road graph. Zoom in and try again.');
-      e.target.checked = false;
+      updateStatus(`Failed to load road graph: ${err.message}`);
+      tileStore = null;
+      useRoadsEl.checked = false;
     }
   } else {
-    setGraph(buildGridGraph(map.getCenter(), 7, 7, 0.0018));
+    tileStore = null;
+    if (currentRegion && currentRegion.graph) {
+      await loadRegionGraph(currentRegion);
+      return;
+    }
+    setGridGraph(map.getCenter());
     updateStatus('Using synthetic grid. Click to select start, then end.');
   }
+}
+
+useRoadsEl.addEventListener('change', async () => {
+  await setUseRoads(useRoadsEl.checked);
+  updatePermalink();
+});
+
+// Another kind of synthetic graph or another seed: built where the current one is, if it is in view
+function regenerate() {
+  if (useRoadsEl.checked) {
+    useRoadsEl.checked = false;
+    tileStore = null;
+    if (abortCtrl) abortCtrl.abort();
+  }
+  resetRoute();
+  const center = gridCenter && map.getBounds().contains(gridCenter) ? gridCenter : map.getCenter();
+  setGridGraph(center);
+  updateStatus(`${GENERATORS[gridGenerator.kind].label}, seed ${gridGenerator.seed}. Click to select start, then end.`);
+  updatePermalink();
+}
+
+generatorEl.addEventListener('change', regenerate);
+seedEl.addEventListener('change', regenerate);
+document.getElementById('newSeed').addEventListener('click', () => {
+  seedEl.value = String(1 + Math.floor(Math.random() * 99999));
+  regenerate();
+});
+
+// Panning or zooming out loads the road tiles that came into view
+map.on('moveend', async () => {
+  if (!useRoadsEl.checked || !tileStore) return;
+  const bbox = toBBox(map.getBounds());
+  if (!tileStore.missing(bbox).length) return;
+  try {
+    const { added } = await loadRoadTiles(bbox);
+    if (added) updateStatus(`Loaded ${added} more road tile(s), ${tileStore.tileCount} in total.`);
+  } catch (err) {
+    if (!isAbort(err)) updateStatus(`${err.message} Roads already loaded stay usable.`);
+  }
+});
+
+// --- Graph files: export the current graph, or build one from GeoJSON / raw Overpass JSON ---
+const graphFileEl = document.getElementById('graphFile');
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+document.getElementById('exportGraph').addEventListener('click', () => {
+  downloadFile('graph.geojson', JSON.stringify(graphToGeoJSON(currentGraph)), 'application/geo+json');
+});
+
+document.getElementById('importGraph').addEventListener('click', () => graphFileEl.click());
+
+// Switch to the roads of a graph file (GeoJSON or raw Overpass JSON), from disk or bundled with a region
+async function loadGraphData(data) {
+  // Raw Overpass JSON is built in the route worker like road tiles are
+  const graph = Array.isArray(data.elements) ? null : graphFromGeoJSON(data, { profile: profileEl.value });
+  const hasRoads = graph ? graph.nodes.length > 0 : data.elements.some(el => el.type === 'way');
+  if (!hasRoads) throw new Error('The file contains no roads.');
+  // The file replaces live road tiles, which would otherwise reload as the map moves
+  if (useRoadsEl.checked) {
+    useRoadsEl.checked = false;
+    tileStore = null;
+    if (abortCtrl) abortCtrl.abort();
+  }
+  gridCenter = null; // links to this graph fall back to a grid (or to the region's graph)
+  resetRoute();
+  if (graph) setGraph(graph);
+  else await setRoadData(data);
+}
+
+graphFileEl.addEventListener('change', async () => {
+  const file = graphFileEl.files[0];
+  graphFileEl.value = '';
+  if (!file) return;
+  try {
+    await loadGraphData(JSON.parse(await file.text()));
+    // A file from elsewhere lifts the region's panning limits, or it could not be looked at
+    if (currentRegion && !currentGraph.nodes.every(n => regionContains(currentRegion, n))) setRegionBounds(null);
+    map.fitBounds(L.latLngBounds(currentGraph.nodes.map(n => [n.lat, n.lng])), { padding: [30, 30] });
+    updateStatus(`Loaded ${currentGraph.nodes.length} nodes from ${file.name}. Click to select start, then end.`);
+  } catch (err) {
+    console.error(err);
+    updateStatus(`Could not load ${file.name}: ${err.message}`);
+  }
+});
+
+// Simplification and pruning apply to the graph as built, so toggling them rebuilds from that
+async function rebuildGraph() {
+  if (!graphSource.data) {
+    setGraph(graphSource.graph);
+    return;
+  }
+  try {
+    await setRoadData(graphSource.data);
+  } catch (err) {
+    if (isAbort(err)) return;
+    console.error(err);
+    updateStatus(`Could not rebuild the road graph: ${err.message}`);
+  }
+}
+
+simplifyEl.addEventListener('change', rebuildGraph);
+pruneIslandsEl.addEventListener('change', rebuildGraph);
+minIslandEl.addEventListener('change', () => {
+  if (pruneIslandsEl.checked) rebuildGraph();
 });
 
 // Re-render graph colors when toggling avoidance (visual stays the same but good to hint behavior)
 avoidUnpavedEl.addEventListener('change', () => {
+  updatePermalink();
   renderGraph();
+  if (isoOrigin) drawIsochrone();
+  if (hasMatrixPoints()) computeMatrix();
   // If a route is already drawn, recompute it quickly with the new penalty
-  if (startId && endId) {
-    if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
-    const { distance, path } = dijkstra(currentGraph.adjacency, startId, endId, {
-      avoidUnpaved: avoidUnpavedEl.checked,
-      unpavedFactor: 3,
-    });
-    if (path && path.length) {
-      const latlngs = path.map(id => {
-        const n = currentGraph.nodes.find(x => x.id === id);
-        return [n.lat, n.lng];
-      });
-      drawRoutePolyline(latlngs);
-      setDistance(distance);
-      updateStatus(`Path with ${path.length - 1} edges. Distance shown below.`);
-    }
+  if (hasRoute()) computeRoute();
+});
+
+// Switching algorithms recomputes the current route so they can be compared
+algorithmEl.addEventListener('change', () => {
+  updatePermalink();
+  if (hasRoute()) computeRoute();
+});
+
+metricEl.addEventListener('change', () => {
+  updatePermalink();
+  updateIsoUnit();
+  if (isoOrigin) drawIsochrone();
+  if (hasMatrixPoints()) computeMatrix();
+  if (hasRoute()) computeRoute();
+});
+
+// The profile decides which roads exist in the graph, so real roads have to be fetched again
+profileEl.addEventListener('change', () => {
+  updatePermalink();
+  renderCostPanel(); // road classes differ per profile
+  if (useRoadsEl.checked) {
+    resetRoute();
+    useRoadsEl.dispatchEvent(new Event('change'));
+  } else if (hasRoute()) {
+    computeRoute();
+  } else if (isoOrigin) {
+    drawIsochrone();
   }
+  if (!useRoadsEl.checked && hasMatrixPoints()) computeMatrix();
 });
 
-// (Region selector removed) – map is open-world
+// --- Regions (regions.js): bounded panning, a default view and optionally a bundled road graph ---
+const regionEl = document.getElementById('region');
+const bundledGraphs = new Map(); // region id -> Promise of its graph file's JSON, fetched once
 
-// --- Place search (Nominatim) ---
-const searchInput = document.getElementById('placeSearch');
-const searchResults = document.getElementById('searchResults');
-let searchAbort = null;
-let searchTimer = null;
-
-function clearResults() {
-  searchResults.innerHTML = '';
-  searchResults.hidden = true;
-}
-
-function showResults(items) {
-  searchResults.innerHTML = '';
-  if (!items.length) {
-    const div = document.createElement('div');
-    div.className = 'muted';
-    div.textContent = 'No results';
-    searchResults.appendChild(div);
+for (const region of REGIONS) regionEl.add(new Option(region.name, region.id));
+
+function fetchBundledGraph(region) {
+  if (!bundledGraphs.has(region.id)) {
+    const request = fetch(region.graph).then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    });
+    request.catch(() => bundledGraphs.delete(region.id)); // try again next time
+    bundledGraphs.set(region.id, request);
+  }
+  return bundledGraphs.get(region.id);
+}
+
+// Clamp panning (and zooming out) to the region, or lift the clamp for the open world
+function setRegionBounds(region) {
+  currentRegion = region;
+  regionEl.value = region ? region.id : '';
+  if (region) {
+    const bounds = toLatLngBounds(region.bounds);
+    map.setMaxBounds(bounds);
+    map.setMinZoom(map.getBoundsZoom(bounds));
   } else {
-    for (const it of items) {
-      const div = document.createElement('div');
-      div.className = 'item';
-      div.textContent = it.display;
-      div.addEventListener('click', () => selectSearchResult(it));
-      searchResults.appendChild(div);
-    }
+    map.setMaxBounds(null);
+    map.setMinZoom(0);
   }
-  searchResults.hidden = false;
 }
 
-async function runSearch(q) {
-  if (searchAbort) searchAbort.abort();
-  searchAbort = new AbortController();
+// Route on the region's bundled graph; real roads, when on, come from Overpass instead
+async function loadRegionGraph(region) {
+  if (regionGraph.region === region && regionGraph.source === graphSource) return;
+  updateStatus(`Loading the road graph of ${region.name}…`);
   try {
-    const items = await searchPlaces(q, { limit: 6, viewbox: map.getBounds(), bounded: false, signal: searchAbort.signal });
-    showResults(items);
+    await loadGraphData(await fetchBundledGraph(region));
+    regionGraph = { region, source: graphSource };
+    updateStatus(`Loaded ${currentGraph.nodes.length} nodes of ${region.name}. Click to select start, then end.`);
   } catch (err) {
-    if (err.name !== 'AbortError') {
-      console.error(err);
-      showResults([]);
+    console.warn(err);
+    setGridGraph(map.getCenter());
+    updateStatus(`Could not load the road graph of ${region.name} (${err.message}), using a grid.`);
+  }
+}
+
+async function selectRegion(region) {
+  setRegionBounds(region);
+  resetRoute();
+  searchPlace = '';
+  searchInput.value = '';
+  if (region) map.setView(region.view.center, region.view.zoom);
+  if (region && region.graph) await loadRegionGraph(region);
+  else if (!useRoadsEl.checked) setGridGraph(map.getCenter()); // road tiles follow the view by themselves
+  updatePermalink();
+}
+
+regionEl.addEventListener('change', () => selectRegion(findRegion(regionEl.value)));
+
+// --- Geocoding (geocode.js): place search, From / To fields and street addresses of the stops ---
+const GEOCODER_STORAGE_KEY = 'dijnav.geocoder';
+const geocoderEl = document.getElementById('geocoder');
+const GEOCODERS = {
+  nominatim: () => nominatimProvider(),
+  photon: () => photonProvider(),
+  gazetteer: () => gazetteerProvider(fetch('./gazetteer.json').then((res) => {
+    if (!res.ok) throw new Error(`Gazetteer: HTTP ${res.status}`);
+    return res.json();
+  })),
+};
+const geocoders = new Map(); // provider name -> geocoder, so each keeps its own cache and request queue
+const SNAP_WARN_M = 500; // a typed address this far from any road is probably outside the graph
+
+geocoderEl.value = GEOCODERS[localStorage.getItem(GEOCODER_STORAGE_KEY)] ? localStorage.getItem(GEOCODER_STORAGE_KEY) : 'nominatim';
+geocoderEl.addEventListener('change', () => localStorage.setItem(GEOCODER_STORAGE_KEY, geocoderEl.value));
+
+function currentGeocoder() {
+  const name = GEOCODERS[geocoderEl.value] ? geocoderEl.value : 'nominatim';
+  if (!geocoders.has(name)) geocoders.set(name, createGeocoder(GEOCODERS[name]()));
+  return geocoders.get(name);
+}
+
+// A text field with a drop-down of geocoder results. With enterPicks, Enter takes the first result.
+function addressBox(input, resultsEl, onPick, { enterPicks = false } = {}) {
+  let pending = null; // { q, controller, request } of the search in flight
+  let timer = null;
+
+  function clear() {
+    resultsEl.innerHTML = '';
+    resultsEl.hidden = true;
+  }
+
+  function pick(item) {
+    clear();
+    onPick(item);
+  }
+
+  function show(items) {
+    resultsEl.innerHTML = '';
+    if (!items.length) {
+      const div = document.createElement('div');
+      div.className = 'muted';
+      div.textContent = 'No results';
+      resultsEl.appendChild(div);
+    } else {
+      for (const it of items) {
+        const div = document.createElement('div');
+        div.className = 'item';
+        div.textContent = it.display;
+        div.addEventListener('click', () => pick(it));
+        resultsEl.appendChild(div);
+      }
+    }
+    resultsEl.hidden = false;
+  }
+
+  async function run(q, pickFirst = false) {
+    // The same query again (Enter right after typing) waits for the search already running
+    if (!pending || pending.q !== q) {
+      if (pending) pending.controller.abort();
+      const controller = new AbortController();
+      // Inside a region only its places are useful: the map cannot go anywhere else
+      const viewbox = currentRegion ? toLatLngBounds(currentRegion.bounds) : map.getBounds();
+      const request = currentGeocoder().search(q, { limit: 6, viewbox, bounded: Boolean(currentRegion), signal: controller.signal });
+      pending = { q, controller, request };
+    }
+    const current = pending;
+    try {
+      const items = await current.request;
+      if (current === pending) pending = null;
+      if (pickFirst && items.length) pick(items[0]);
+      else if (input.value.trim() === q) show(items);
+    } catch (err) {
+      if (current === pending) pending = null;
+      if (!isAbort(err)) {
+        console.error(err);
+        show([]);
+      }
     }
   }
+
+  input.addEventListener('input', () => {
+    const q = input.value.trim();
+    if (timer) clearTimeout(timer);
+    // Providers that do not allow searching as you type (Nominatim) are only asked on Enter
+    if (q.length < 2 || !currentGeocoder().provider.autocomplete) { clear(); return; }
+    timer = setTimeout(() => run(q), 250);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') clear();
+    if (e.key === 'Enter') {
+      const q = input.value.trim();
+      if (timer) clearTimeout(timer);
+      if (q.length >= 2) run(q, enterPicks);
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!resultsEl.contains(e.target) && e.target !== input) clear();
+  });
 }
 
+const searchInput = document.getElementById('placeSearch');
+const fromInput = document.getElementById('fromInput');
+const toInput = document.getElementById('toInput');
+let pendingDestination = null; // { latlng, address } of a "To" typed before there was a start
+
 function selectSearchResult(item) {
-  clearResults();
   // Compute bounds to clamp map (with small padding)
   const bounds = item.bounds || L.latLngBounds([item.center, item.center]).pad(0.02);
-  // Fit to result but do NOT clamp to bounds (open world)
+  // Fit to result; a selected region keeps the map inside its own bounds
   map.fitBounds(bounds, { padding: [30, 30] });
   // Reset route and switch graph according to toggle
   resetRoute();
-  if (useRoadsEl.checked) {
-    useRoadsEl.dispatchEvent(new Event('change'));
-  } else {
-    setGraph(buildGridGraph(map.getCenter(), 7, 7, 0.0018));
+  searchPlace = item.display;
+  // With real roads, moving the map loads the tiles of the new view; a region's bundled graph stays
+  if (!useRoadsEl.checked && !(currentRegion && currentRegion.graph)) setGridGraph(map.getCenter());
+  updatePermalink();
+}
+
+// Label a stop with the street address at its marker; lookups are queued and cached by the geocoder
+async function labelStop(stop) {
+  const lookup = ++stop.lookup;
+  const latlng = stop.marker.getLatLng();
+  try {
+    const place = await currentGeocoder().reverse(latlng);
+    // The stop may have been removed, moved or named meanwhile
+    if (lookup !== stop.lookup || !stops.includes(stop)) return;
+    stop.address = place ? place.display : null;
+    renderStops();
+  } catch (err) {
+    console.warn('Reverse geocoding failed', err);
   }
 }
 
-searchInput.addEventListener('input', (e) => {
-  const q = e.target.value.trim();
-  if (q.length < 2) { clearResults(); return; }
-  if (searchTimer) clearTimeout(searchTimer);
-  searchTimer = setTimeout(() => runSearch(q), 250);
-});
+function setStopAddress(stop, address) {
+  stop.lookup++; // a reverse lookup still running would overwrite the typed place
+  stop.address = address;
+}
 
-searchInput.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') { clearResults(); }
-  if (e.key === 'Enter') {
-    const q = searchInput.value.trim();
-    if (q.length >= 2) runSearch(q);
+// The From / To fields show the addresses of the start and end, unless they are being typed in
+function syncAddressInputs() {
+  const text = (stop) => {
+    if (!stop) return '';
+    const p = stop.marker.getLatLng();
+    return stop.address || `${p.lat.toFixed(5)}, ${p.lng.toFixed(5)}`;
+  };
+  if (document.activeElement !== fromInput) fromInput.value = text(stops[0]);
+  if (document.activeElement !== toInput) {
+    toInput.value = stops.length >= 2 ? text(stops[stops.length - 1]) : pendingDestination ? pendingDestination.address : '';
   }
-});
+}
+
+// Where the stops are, and the destination waiting for a start: the roads routing will need
+function stopLatLngs() {
+  const latlngs = stops.map(s => s.marker.getLatLng());
+  return pendingDestination ? [...latlngs, pendingDestination.latlng] : latlngs;
+}
 
-document.addEventListener('click', (e) => {
-  if (!searchResults.contains(e.target) && e.target !== searchInput) {
-    clearResults();
+// A "To" picked before the start becomes the end as soon as there is a start
+function addPendingDestination() {
+  if (!pendingDestination || stops.length !== 1) return;
+  const { latlng, address } = pendingDestination;
+  pendingDestination = null;
+  addStop(latlng, 1, address);
+}
+
+// Put the start (or the end) at a geocoded place, snapped onto the road like a click
+async function setAddressStop(which, item) {
+  const latlng = { lat: item.center[0], lng: item.center[1] };
+  if (which === 'to' && !stops.length) {
+    pendingDestination = { latlng, address: item.display };
+    map.panTo(latlng);
+    syncAddressInputs();
+    updateStatus('Destination set. Now choose the start: type it in From or click the map.');
+    return;
   }
-});
+  const loading = loadRoadsAround([latlng, ...stopLatLngs()]);
+  if (loading) await loading;
+  let stop;
+  if (which === 'from' && stops.length) stop = stops[0];
+  if (which === 'to' && stops.length >= 2) stop = stops[stops.length - 1];
+  const noRoad = `No road near ${item.display} to snap to${useRoadsEl.checked ? '' : '; turn on "Use roads" to route there'}.`;
+  if (stop) {
+    snapStop(stop, latlng);
+    setStopAddress(stop, item.display);
+    renderStops();
+    if (stop.id === null) {
+      updateStatus(noRoad);
+      return;
+    }
+  } else {
+    stop = addStop(latlng, which === 'from' ? 0 : stops.length, item.display);
+    if (!stop) {
+      updateStatus(noRoad);
+      return;
+    }
+  }
+  addPendingDestination();
+  const snapped = stop.marker.getLatLng();
+  const far = map.distance(snapped, latlng) > SNAP_WARN_M
+    ? ` It is ${formatMeters(map.distance(snapped, latlng))} from the nearest road of the graph${useRoadsEl.checked ? '' : '; turn on "Use roads" to route there'}.`
+    : '';
+  if (hasRoute()) {
+    await computeRoute();
+    if (far) updateStatus(statusEl.textContent + far);
+  } else {
+    map.panTo(snapped);
+    updateStatus(`Now choose the destination: type it in To or click the map.${far}`);
+    updatePermalink();
+  }
+}
+
+addressBox(searchInput, document.getElementById('searchResults'), selectSearchResult);
+addressBox(fromInput, document.getElementById('fromResults'), item => setAddressStop('from', item), { enterPicks: true });
+addressBox(toInput, document.getElementById('toResults'), item => setAddressStop('to', item), { enterPicks: true });
 
 // UI State
-let startId = null;
-let endId = null;
-let startMarker = null;
-let endMarker = null;
 let routeLine = null;
 const statusEl = document.getElementById('status');
 const distanceEl = document.getElementById('distance');
+const costEl = document.getElementById('routeCost');
+const durationEl = document.getElementById('duration');
 
-function updateStatus(text) { statusEl.textContent = text; }
+// action: optional { label, run } offered as a button after the text
+function updateStatus(text, action = null) {
+  statusEl.textContent = text;
+  if (!action) return;
+  const btn = document.createElement('button');
+  btn.textContent = action.label;
+  btn.addEventListener('click', action.run);
+  statusEl.append(' ', btn);
+}
 function setDistance(m) {
   if (Number.isFinite(m)) distanceEl.textContent = `${m.toFixed(1)} m`;
   else distanceEl.textContent = '–';
 }
+// The optimized cost, in the units of the metric (factors make it differ from distance / time)
+function setCost(cost) {
+  costEl.textContent = Number.isFinite(cost) ? formatCost(cost) : '–';
+}
+function setDuration(seconds) {
+  durationEl.textContent = Number.isFinite(seconds) ? formatDuration(seconds) : '–';
+}
 
-function resetRoute() {
-  startId = endId = null;
-  if (startMarker) { map.removeLayer(startMarker); startMarker = null; }
-  if (endMarker) { map.removeLayer(endMarker); endMarker = null; }
+function formatDuration(seconds) {
+  const mins = Math.round(seconds / 60);
+  if (mins < 1) return `${Math.round(seconds)} s`;
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)} h ${String(mins % 60).padStart(2, '0')} min`;
+}
+
+function hasRoute() { return stops.length >= 2; }
+
+function clearRouteDisplay() {
+  routeTicket++; // a query still running would draw a route nobody asked for any more
+  routeClient.cancel();
+  stopVisualization();
   if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
+  alternatives = [];
+  currentRoute = null;
+  renderAlternatives();
   setDistance(null);
+  setCost(null);
+  setDuration(null);
+  showDirections([]);
+  showSummary(null);
+}
+
+function resetRoute() {
+  for (const stop of stops) {
+    map.removeLayer(stop.marker);
+    releaseNode(stop.id);
+  }
+  stops.length = 0;
+  pendingDestination = null;
+  renderStops();
+  clearRouteDisplay();
+  trackLayer.clearLayers();
+  clearIsochrone();
   updateStatus('Click on the map to pick start, then end.');
+  updatePermalink();
 }
 
-function routeStrokeStyle() {
-  // Grey when using real roads, green on synthetic grid
-  // Blue when using real roads, green on synthetic grid
-  return useRoadsEl.checked ? { color: '#3b82f6', weight: 5, opacity: 0.95 } : { color: '#22c55e', weight: 5, opacity: 0.9 };
+// --- Stops (start, waypoints, end) ---
+const stopsPanel = document.getElementById('stopsPanel');
+const stopsList = document.getElementById('stopsList');
+const fixedEndEl = document.getElementById('fixedEnd');
+const DRAG_ROUTE_INTERVAL_MS = 150; // live re-routing while a marker is dragged
+let lastDragRoute = 0;
+let draggingStop = false; // live re-routes while dragging stay out of the browser history
+
+function stopLabel(i) {
+  if (i === 0) return 'Start';
+  if (i === stops.length - 1) return 'End';
+  return `Stop ${i}`;
 }
 
-function drawRoutePolyline(latlngs) {
-  if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
-  routeLine = L.polyline(latlngs, routeStrokeStyle()).addTo(map);
-  map.fitBounds(routeLine.getBounds(), { padding: [30, 30] });
+// address: where the stop was typed in; clicked stops are labelled by reverse geocoding
+function addStop(latlng, index = stops.length, address = null) {
+  const id = snapToRoad(latlng);
+  if (id === null) return null;
+  const node = getNode(id);
+  const marker = L.marker([node.lat, node.lng], { draggable: true }).addTo(map);
+  const stop = { id, marker, address, lookup: 0 };
+  stops.splice(index, 0, stop);
+  marker.bindPopup('');
+  marker.on('dragstart', () => { draggingStop = true; });
+  marker.on('drag', () => {
+    const now = Date.now();
+    if (now - lastDragRoute < DRAG_ROUTE_INTERVAL_MS) return;
+    lastDragRoute = now;
+    // Re-snap without moving the marker away from the cursor
+    releaseNode(stop.id);
+    stop.id = snapToRoad(marker.getLatLng());
+    if (stop.id !== null && hasRoute()) computeRoute({ fit: false });
+  });
+  marker.on('dragend', async () => {
+    draggingStop = false;
+    const loading = loadRoadsAround(stops.map(s => s.marker.getLatLng()));
+    if (loading) await loading;
+    snapStop(stop, marker.getLatLng());
+    labelStop(stop);
+    if (stop.id === null) updateStatus('No road nearby to snap to.');
+    else if (hasRoute()) computeRoute({ fit: false });
+  });
+  renderStops();
+  marker.openPopup();
+  if (!address) labelStop(stop);
+  return stop;
 }
 
-document.getElementById('resetBtn').addEventListener('click', resetRoute);
+function removeStop(index) {
+  const [stop] = stops.splice(index, 1);
+  map.removeLayer(stop.marker);
+  releaseNode(stop.id);
+  renderStops();
+  if (hasRoute()) {
+    computeRoute({ fit: false });
+  } else {
+    clearRouteDisplay();
+    updatePermalink();
+  }
+}
 
-// Handle map clicks
-map.on('click', (e) => {
-  const clicked = { lat: e.latlng.lat, lng: e.latlng.lng };
-  const nid = nearestNodeId(clicked, currentGraph.nodes);
-  const node = currentGraph.nodes.find(n => n.id === nid);
+function moveStop(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= stops.length) return;
+  [stops[index], stops[target]] = [stops[target], stops[index]];
+  renderStops();
+  if (hasRoute()) computeRoute({ fit: false });
+}
 
-  // If a route is already completed, start a new one with this click as the new Start
-  if (startId && endId) {
-    resetRoute();
-  }
+// Marker popups and the Stops panel both follow the current order
+function renderStops() {
+  stopsList.innerHTML = '';
+  stops.forEach((stop, i) => {
+    const popup = document.createElement('div');
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    badge.textContent = stopLabel(i);
+    popup.appendChild(badge);
+    if (stop.address) {
+      const address = document.createElement('div');
+      address.className = 'stop-address';
+      address.textContent = stop.address;
+      popup.appendChild(address);
+    }
+    stop.marker.setPopupContent(popup);
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = stop.address ? `${stopLabel(i)}: ${stop.address}` : stopLabel(i);
+    label.addEventListener('click', () => map.panTo(stop.marker.getLatLng()));
+    li.appendChild(label);
+    const actions = [['↑', 'Move up', () => moveStop(i, -1)], ['↓', 'Move down', () => moveStop(i, 1)], ['✕', 'Remove', () => removeStop(i)]];
+    for (const [text, title, onClick] of actions) {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      li.appendChild(btn);
+    }
+    stopsList.appendChild(li);
+  });
+  setPanelVisible(stopsPanel, stops.length > 0);
+  syncAddressInputs();
+}
 
-  if (!startId) {
-    startId = nid;
-    if (startMarker) map.removeLayer(startMarker);
-    startMarker = L.marker([node.lat, node.lng], { title: 'Start' }).addTo(map);
-    startMarker.bindPopup('<span class="badge">Start</span>').openPopup();
-    updateStatus('Now click to choose the destination.');
+// Solve the visiting order of the waypoints from graph costs; the start never moves
+function optimizeOrder() {
+  if (stops.length < 3) {
+    updateStatus('Add at least one intermediate stop to optimize the order.');
     return;
   }
+  const matrix = buildCostMatrix(currentGraph.adjacency, stops.map(s => s.id), routeOptions());
+  const order = optimizeStopOrder(matrix, { fixedEnd: fixedEndEl.checked });
+  const reordered = order.map(i => stops[i]);
+  stops.splice(0, stops.length, ...reordered);
+  renderStops();
+  computeRoute();
+}
 
-  if (!endId) {
-    endId = nid;
-    if (endMarker) map.removeLayer(endMarker);
-    endMarker = L.marker([node.lat, node.lng], { title: 'End' }).addTo(map);
-    endMarker.bindPopup('<span class="badge">End</span>').openPopup();
-  }
+document.getElementById('optimizeStops').addEventListener('click', optimizeOrder);
+
+// --- Directions panel ---
+const directionsPanel = document.getElementById('directionsPanel');
+const directionsList = document.getElementById('directionsList');
+
+function setPanelVisible(panel, visible) {
+  if (panel.hidden === !visible) return;
+  panel.hidden = !visible;
+  map.invalidateSize(); // the sidebar may have appeared or collapsed
+}
 
-  if (startId && endId) {
-    const { distance, path } = dijkstra(currentGraph.adjacency, startId, endId, {
-      avoidUnpaved: avoidUnpavedEl.checked,
-      unpavedFactor: 3,
+function showDirections(steps) {
+  directionsList.innerHTML = '';
+  for (const step of steps) {
+    const li = document.createElement('li');
+    li.textContent = step.text;
+    li.addEventListener('click', () => {
+      const content = document.createElement('div');
+      content.textContent = step.text;
+      map.setView([step.lat, step.lng], Math.max(map.getZoom(), 17));
+      L.popup().setLatLng([step.lat, step.lng]).setContent(content).openOn(map);
     });
-    if (!path || path.length === 0 || !Number.isFinite(distance)) {
-      updateStatus('No route found between selected points.');
-      setDistance(null);
-      if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
-      return;
+    directionsList.appendChild(li);
+  }
+  setPanelVisible(directionsPanel, steps.length > 0);
+}
+
+// --- Route summary: surface and road-class breakdown, unpaved stretches and a strip chart ---
+const summaryPanel = document.getElementById('summaryPanel');
+const summaryStatsEl = document.getElementById('summaryStats');
+const summaryStripEl = document.getElementById('summaryStrip');
+const summaryCursorEl = document.getElementById('summaryCursor');
+const summaryAtEl = document.getElementById('summaryAt');
+const SUMMARY_AT_HINT = summaryAtEl.textContent;
+const surfaceBreakdownEl = document.getElementById('surfaceBreakdown');
+const classBreakdownEl = document.getElementById('classBreakdown');
+// Unpaved stretches and the chart's hover marker sit above the route line (overlayPane is 400)
+map.createPane('routeDetailPane').style.zIndex = 450;
+const routeDetailLayer = L.layerGroup().addTo(map);
+const PAVED_COLORS = ['#64748b', '#94a3b8', '#0ea5e9', '#6366f1', '#14b8a6', '#a1a1aa'];
+const UNPAVED_COLORS = ['#b45309', '#d97706', '#92400e', '#f59e0b', '#78350f', '#fbbf24'];
+const CLASS_COLORS = ['#3b82f6', '#22c55e', '#eab308', '#ec4899', '#8b5cf6', '#06b6d4', '#f97316', '#84cc16'];
+let summary = null; // summarizeRoute of the displayed route, with the colours of its keys
+let summaryMarker = null;
+
+// Colours by rank, unpaved surfaces in browns so they stand out in the chart as on the map
+function keyColors(entries, palette, unpavedPalette = palette) {
+  const colors = new Map();
+  let paved = 0;
+  let unpaved = 0;
+  for (const entry of entries) {
+    colors.set(entry.key, entry.unpaved && unpavedPalette !== palette
+      ? unpavedPalette[unpaved++ % unpavedPalette.length]
+      : palette[paved++ % palette.length]);
+  }
+  return colors;
+}
+
+function renderBreakdown(el, entries, colors) {
+  el.innerHTML = '';
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = colors.get(entry.key);
+    const amount = document.createElement('span');
+    amount.className = 'share';
+    amount.textContent = `${formatMeters(entry.length)} · ${Math.round(100 * entry.share)}%`;
+    li.append(dot, ` ${entry.key.replace(/_/g, ' ')}`, amount);
+    el.appendChild(li);
+  }
+}
+
+// One bar per row, split into bands as long as the stretches they stand for
+function renderStrip() {
+  summaryStripEl.querySelectorAll('.strip-row').forEach(row => row.remove());
+  for (const [field, colors, label] of [['surface', summary.surfaceColors, 'Surface'], ['highway', summary.classColors, 'Road class']]) {
+    const row = document.createElement('div');
+    row.className = 'strip-row';
+    row.title = label;
+    for (const run of runsBy(summary.segments, field)) {
+      const band = document.createElement('span');
+      band.style.width = `${100 * (run.end - run.start) / summary.length}%`;
+      band.style.background = colors.get(run.key);
+      row.appendChild(band);
     }
+    summaryStripEl.insertBefore(row, summaryCursorEl);
+  }
+}
 
-    // Draw polyline
-    const latlngs = path.map(id => {
-      const n = currentGraph.nodes.find(x => x.id === id);
-      return [n.lat, n.lng];
-    });
-    drawRoutePolyline(latlngs);
-    setDistance(distance);
-    updateStatus(`Path with ${path.length - 1} edges. Click anywhere to start a new route, or use Reset.`);
+function drawUnpavedStretches() {
+  routeDetailLayer.clearLayers();
+  for (const run of runsBy(summary.segments, 'unpaved')) {
+    if (!run.key) continue;
+    const stretch = summary.segments.filter(s => s.start >= run.start && s.end <= run.end);
+    const latlngs = routeLatLngs([stretch[0].edge.from], stretch.map(s => s.edge));
+    L.polyline(latlngs, { pane: 'routeDetailPane', color: '#b45309', weight: 5, opacity: 1, dashArray: '8 6', interactive: false })
+      .addTo(routeDetailLayer);
+  }
+}
+
+function showSummary(route) {
+  hideStripCursor();
+  routeDetailLayer.clearLayers();
+  summary = null;
+  if (route && route.edges.length) {
+    summary = summarizeRoute(route.edges);
+    summary.surfaceColors = keyColors(summary.surfaces, PAVED_COLORS, UNPAVED_COLORS);
+    summary.classColors = keyColors(summary.classes, CLASS_COLORS);
+    const unpaved = summary.unpaved.length ? `, ${formatMeters(summary.unpaved.length)} (${Math.round(100 * summary.unpaved.share)}%) unpaved` : ', all paved';
+    summaryStatsEl.textContent = `${formatMeters(summary.length)}${unpaved}`;
+    renderBreakdown(surfaceBreakdownEl, summary.surfaces, summary.surfaceColors);
+    renderBreakdown(classBreakdownEl, summary.classes, summary.classColors);
+    renderStrip();
+    drawUnpavedStretches();
+  }
+  setPanelVisible(summaryPanel, Boolean(summary));
+}
+
+function hideStripCursor() {
+  summaryCursorEl.hidden = true;
+  summaryAtEl.textContent = SUMMARY_AT_HINT;
+  if (summaryMarker) { map.removeLayer(summaryMarker); summaryMarker = null; }
+}
+
+// Hovering the chart shows the matching point of the route on the map
+summaryStripEl.addEventListener('mousemove', (e) => {
+  if (!summary) return;
+  const rect = summaryStripEl.getBoundingClientRect();
+  const f = rect.width > 0 ? Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) : 0;
+  const meters = f * summary.length;
+  const point = pointAlong(summary.segments, meters, getNode);
+  if (!point) return;
+  const { segment } = point;
+  const road = roadLabel(segment.edge);
+  summaryCursorEl.hidden = false;
+  summaryCursorEl.style.left = `${100 * f}%`;
+  summaryAtEl.textContent = `At ${formatMeters(meters)}: ${road ? `${road}, ` : ''}${segment.surface}, ${segment.highway}`;
+  if (!summaryMarker) {
+    summaryMarker = L.circleMarker(point, { pane: 'routeDetailPane', radius: 7, color: '#0f172a', weight: 2, fillColor: '#ffffff', fillOpacity: 1, interactive: false }).addTo(map);
+  } else {
+    summaryMarker.setLatLng(point);
   }
 });
+summaryStripEl.addEventListener('mouseleave', hideStripCursor);
+
+function routeStrokeStyle() {
+  // Grey when using real roads, green on synthetic grid
+  // Blue when using real roads, green on synthetic grid
+  return useRoadsEl.checked ? { color: '#3b82f6', weight: 5, opacity: 0.95 } : { color: '#22c55e', weight: 5, opacity: 0.9 };
+}
+
+function drawRoutePolyline(latlngs, { fit = true } = {}) {
+  if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
+  routeLine = L.polyline(latlngs, routeStrokeStyle()).addTo(map);
+  if (fit) map.fitBounds(routeLine.getBounds(), { padding: [30, 30] });
+}
+
+function routeOptions() {
+  const profile = currentProfile();
+  return {
+    avoidUnpaved: avoidUnpavedEl.checked,
+    unpavedFactor: costSettings.model.unpaved,
+    costModel: costSettings.model,
+    restrictions: currentGraph.restrictions,
+    nodes: nodeById,
+    metric: metricEl.value,
+    fallbackSpeed: profile.defaultSpeed / 3.6,
+    maxSpeed: profile.maxSpeed / 3.6,
+    edgeFactor: avoidanceEdgeFactor(),
+  };
+}
+
+// Concatenate routed legs (one per pair of consecutive stops) into a single route with directions
+function describeRoute(legs) {
+  const path = [];
+  const edges = [];
+  const steps = [];
+  let visitedCount = 0;
+  let cost = 0;
+  let length = 0;
+  legs.forEach((leg, i) => {
+    visitedCount += leg.visitedCount;
+    cost += leg.cost;
+    length += leg.length;
+    path.push(...(path.length ? leg.path.slice(1) : leg.path));
+    edges.push(...leg.edges);
+    const destination = i === legs.length - 1 ? 'destination' : stopLabel(i + 1);
+    steps.push(...buildDirections(leg.path, leg.edges, { getNode, adjacency: currentGraph.adjacency, destination }));
+  });
+  return { legs, path, edges, steps, visitedCount, cost, length };
+}
+
+// Polyline of a routed path, following the shape of contracted edges
+function routeLatLngs(path, edges) {
+  const start = getNode(path[0]);
+  return [start, ...edges.flatMap(e => edgePoints(e, getNode).slice(1))].map(p => [p.lat, p.lng]);
+}
+
+// Draw a route as the primary polyline and fill in the footer and the directions panel
+function displayRoute(route, { fit = true } = {}) {
+  currentRoute = route;
+  drawRoutePolyline(routeLatLngs(route.path, route.edges), { fit });
+  const totals = routeTotals(route.edges, routeOptions());
+  setDistance(route.length); // meters travelled, next to the cost the route was chosen by
+  setCost(route.cost);
+  setDuration(totals.duration);
+  showDirections(route.steps);
+  showSummary(route);
+}
+
+function selectedAlgorithm() {
+  return ALGORITHMS[algorithmEl.value] ? algorithmEl.value : 'dijkstra';
+}
+
+// Worker results name edges by index; find the matching adjacency entry (or virtual piece of it)
+function resolveEdge({ edge, from, to }) {
+  const base = currentGraph.edges[edge];
+  if (base.from === from && base.to === to) return base;
+  return currentGraph.adjacency[from].find(e => e.parent === base && e.to === to);
+}
+
+function resolveLeg(leg) {
+  return { ...leg, edges: leg.edges.map(resolveEdge) };
+}
+
+let routeTicket = 0; // the latest query; answers to older ones are dropped
+
+// Run the selected algorithm leg by leg through every stop (in the route worker) and draw the result
+async function computeRoute({ fit = true } = {}) {
+  const ticket = ++routeTicket;
+  const graph = currentGraph;
+  const algorithm = selectedAlgorithm();
+  // The worker has its own copy of these, and matches the rules against its own edges
+  const { restrictions, nodes, edgeFactor, ...opts } = routeOptions();
+  let result;
+  try {
+    result = await routeClient.route({
+      algorithm,
+      stops: stops.map(s => s.id),
+      virtual: [...virtualSnaps.values()],
+      opts,
+      rules: rules.filter(r => r.enabled),
+      // Alternatives are only offered for plain start -> end routes
+      alternatives: showAlternativesEl.checked && stops.length === 2,
+    });
+  } catch (err) {
+    if (isAbort(err) || ticket !== routeTicket || graph !== currentGraph) return;
+    console.error(err);
+    updateStatus(`Routing failed: ${err.message}`);
+    return;
+  }
+  if (ticket !== routeTicket || graph !== currentGraph) return;
+  stopVisualization(); // an animation of the previous search no longer matches the route
+  updatePermalink();
+
+  if (result.failedLeg >= 0) {
+    const i = result.failedLeg;
+    const [from, to] = [componentOfNode(stops[i].id), componentOfNode(stops[i + 1].id)];
+    if (from !== to) {
+      const island = [from, to].filter(c => c !== components.main).map(c => components.sizes[c]);
+      const size = island.length ? ` (an island of ${Math.min(...island)} nodes)` : '';
+      clearRouteDisplay();
+      updateStatus(`${stopLabel(i)} and ${stopLabel(i + 1)} are on road pieces that are not connected${size}.`,
+        { label: 'Snap to main network', run: snapStopsToMain });
+      return;
+    }
+    const blocked = rules.some(r => r.enabled) ? ' Avoidance zones or closures may be in the way.' : '';
+    updateStatus((stops.length === 2
+      ? 'No route found between selected points.'
+      : `No route found between ${stopLabel(i)} and ${stopLabel(i + 1)}.`) + blocked);
+    clearRouteDisplay();
+    return;
+  }
+  alternatives = result.alternatives.map(resolveLeg);
+
+  const route = describeRoute(result.legs.map(resolveLeg));
+  displayRoute(route, { fit });
+  renderAlternatives();
+  const altNote = alternatives.length ? ` ${alternatives.length} alternative(s) in grey, click one to switch.` : '';
+  updateStatus(`Path with ${route.path.length - 1} edges (${ALGORITHMS[algorithm].label} visited ${route.visitedCount} nodes).${altNote} Click to add stops, drag markers to move them, or use Reset.`);
+}
+
+// --- Alternative routes ---
+const showAlternativesEl = document.getElementById('showAlternatives');
+const alternativesLayer = L.layerGroup().addTo(map);
+let alternatives = []; // single-leg routing results drawn beneath the primary route
+let currentRoute = null;
+
+function renderAlternatives() {
+  alternativesLayer.clearLayers();
+  alternatives.forEach((alt, i) => {
+    const length = alt.edges.reduce((sum, e) => sum + e.weight, 0);
+    const unpaved = alt.edges.reduce((sum, e) => sum + (e.unpaved ? e.weight : 0), 0);
+    const share = length > 0 ? Math.round(100 * unpaved / length) : 0;
+    const line = L.polyline(routeLatLngs(alt.path, alt.edges), { color: '#64748b', weight: 5, opacity: 0.75, bubblingMouseEvents: false });
+    line.bindTooltip(`Alternative ${i + 1}: ${formatMeters(length)}, ${share}% unpaved`, { permanent: true, direction: 'center', className: 'alt-label' });
+    line.on('click', () => promoteAlternative(i));
+    line.addTo(alternativesLayer);
+  });
+  if (routeLine) routeLine.bringToFront();
+}
+
+// Swap an alternative with the primary route
+function promoteAlternative(i) {
+  if (!currentRoute || currentRoute.legs.length !== 1) return;
+  const promoted = alternatives[i];
+  alternatives[i] = currentRoute.legs[0];
+  displayRoute(describeRoute([promoted]), { fit: false });
+  renderAlternatives();
+  updateStatus(`Switched to alternative ${i + 1}. Click a grey route to compare, or use Reset.`);
+}
+
+showAlternativesEl.addEventListener('change', () => {
+  if (hasRoute()) computeRoute({ fit: false });
+});
+
+document.getElementById('resetBtn').addEventListener('click', resetRoute);
+
+// --- Search visualization: replay the selected algorithm's search event by event ---
+const vizPanel = document.getElementById('vizPanel');
+const vizPlayBtn = document.getElementById('vizPlay');
+const vizSpeedEl = document.getElementById('vizSpeed');
+const vizStatsEl = document.getElementById('vizStats');
+const vizQueueEl = document.getElementById('vizQueue');
+const vizRenderer = L.canvas({ padding: 0.5 }); // thousands of markers on OSM graphs
+const vizLayer = L.layerGroup().addTo(map);
+const VIZ_COLORS = { forward: '#f43f5e', backward: '#a855f7', queued: '#facc15', relaxed: '#38bdf8', meet: '#ffffff' };
+const VIZ_TICK_MS = 50;
+const VIZ_QUEUE_ROWS = 12;
+let viz = null; // { player, algorithm, markers: Map<node, circleMarker>, timer, carry }
+
+// Tentative distances are shown unrounded enough to compare neighbouring queue entries
+function formatCost(cost) {
+  return metricEl.value === 'time' ? `${cost.toFixed(1)} s` : `${cost.toFixed(0)} m`;
+}
+
+function vizMarker(node) {
+  let marker = viz.markers.get(node);
+  if (!marker) {
+    const n = getNode(node);
+    marker = L.circleMarker([n.lat, n.lng], { renderer: vizRenderer, radius: 4, weight: 1, fillOpacity: 0.9 }).addTo(vizLayer);
+    viz.markers.set(node, marker);
+  }
+  return marker;
+}
+
+function vizDraw(event) {
+  if (event.type === 'leg') {
+    vizLayer.clearLayers();
+    viz.markers.clear();
+  } else if (event.type === 'push') {
+    if (event.edge) {
+      L.polyline(edgePoints(event.edge, getNode), { renderer: vizRenderer, color: VIZ_COLORS.relaxed, weight: 2, opacity: 0.6 }).addTo(vizLayer);
+    }
+    if (!viz.player.settled.has(event.node)) {
+      vizMarker(event.node).setStyle({ color: VIZ_COLORS.queued, fillColor: VIZ_COLORS.queued, radius: 4 });
+    }
+  } else if (event.type === 'settle') {
+    const color = VIZ_COLORS[event.side];
+    vizMarker(event.node).setStyle({ color, fillColor: color, radius: 4 });
+  } else if (event.type === 'meet') {
+    vizMarker(event.node).setStyle({ color: VIZ_COLORS.meet, fillColor: VIZ_COLORS.forward, radius: 7 });
+  }
+}
+
+function vizRefreshPanel() {
+  const { player } = viz;
+  vizStatsEl.textContent = `${ALGORITHMS[viz.algorithm].label}: event ${player.position}/${player.total}, ` +
+    `${player.settled.size} settled, ${player.frontier.size} in queue`;
+  vizQueueEl.innerHTML = '';
+  for (const entry of player.queue(VIZ_QUEUE_ROWS)) {
+    const li = document.createElement('li');
+    const estimate = entry.priority !== entry.cost ? ` (f = ${formatCost(entry.priority)})` : '';
+    const side = entry.side === 'backward' ? ' ←' : '';
+    li.textContent = `${entry.node}${side}: ${formatCost(entry.cost)}${estimate}`;
+    vizQueueEl.appendChild(li);
+  }
+  vizPlayBtn.textContent = viz.timer ? 'Pause' : (player.done ? 'Replay' : 'Play');
+}
+
+function vizAdvance(count) {
+  for (let i = 0; i < count && !viz.player.done; i++) vizDraw(viz.player.step());
+}
+
+function setVizPlaying(playing) {
+  clearInterval(viz.timer);
+  viz.timer = null;
+  if (playing) {
+    viz.timer = setInterval(() => {
+      viz.carry += Number(vizSpeedEl.value) * VIZ_TICK_MS / 1000;
+      const count = Math.floor(viz.carry);
+      viz.carry -= count;
+      vizAdvance(count);
+      if (viz.player.done) finishVisualization();
+      else vizRefreshPanel();
+    }, VIZ_TICK_MS);
+  }
+  vizRefreshPanel();
+}
+
+function finishVisualization() {
+  setVizPlaying(false);
+  if (routeLine) routeLine.addTo(map);
+  updateStatus(`Search finished: ${viz.player.settled.size} nodes settled in the last leg. The route is drawn on top.`);
+}
+
+function startVisualization() {
+  if (!hasRoute()) {
+    updateStatus('Pick a start and an end first, then visualize the search.');
+    return;
+  }
+  stopVisualization();
+  const algorithm = selectedAlgorithm();
+  const { events } = recordSearch(algorithm, currentGraph.adjacency, stops.map(s => s.id), routeOptions());
+  viz = { player: createTracePlayer(events), algorithm, markers: new Map(), timer: null, carry: 0 };
+  if (routeLine) routeLine.remove(); // shown again once the search has finished
+  setPanelVisible(vizPanel, true);
+  setVizPlaying(true);
+  updateStatus(`Replaying ${ALGORITHMS[algorithm].label}: ${events.length} search events.`);
+}
+
+function stopVisualization() {
+  if (!viz) return;
+  setVizPlaying(false);
+  viz = null;
+  vizLayer.clearLayers();
+  if (routeLine) routeLine.addTo(map);
+  setPanelVisible(vizPanel, false);
+}
+
+document.getElementById('visualizeBtn').addEventListener('click', startVisualization);
+document.getElementById('vizClose').addEventListener('click', stopVisualization);
+
+vizPlayBtn.addEventListener('click', () => {
+  if (!viz) return;
+  if (viz.player.done) {
+    startVisualization();
+    return;
+  }
+  setVizPlaying(!viz.timer);
+});
+
+// One step = settle the next node together with the edge relaxations that follow it
+document.getElementById('vizStep').addEventListener('click', () => {
+  if (!viz) return;
+  setVizPlaying(false);
+  const { player } = viz;
+  let settled = false;
+  while (!player.done && !(settled && player.peek().type === 'settle')) {
+    const event = player.step();
+    vizDraw(event);
+    if (event.type === 'settle') settled = true;
+  }
+  if (player.done) finishVisualization();
+  else vizRefreshPanel();
+});
+
+// --- Reachability: one-to-all search from a clicked point, shaded by cost band ---
+const isochroneModeEl = document.getElementById('isochroneMode');
+const isochronePanel = document.getElementById('isochronePanel');
+const isoThresholdsEl = document.getElementById('isoThresholds');
+const isoUnitEl = document.getElementById('isoUnit');
+const isoLegendEl = document.getElementById('isoLegend');
+const isochroneLayer = L.layerGroup().addTo(map);
+const ISO_COLORS = ['#22c55e', '#eab308', '#f97316', '#ef4444', '#a855f7'];
+const isoThresholdText = { distance: '500, 1000, 2000', time: '2, 5, 10' }; // meters / minutes
+
+function updateIsoUnit() {
+  const metric = metricEl.value === 'time' ? 'time' : 'distance';
+  isoThresholdsEl.value = isoThresholdText[metric];
+  isoUnitEl.textContent = metric === 'time' ? 'min' : 'm';
+}
+
+// Thresholds in routing cost units (meters, or seconds in time mode)
+function isoThresholds() {
+  const scale = metricEl.value === 'time' ? 60 : 1;
+  const values = isoThresholdsEl.value.split(/[\s,;]+/).map(Number).filter(v => v > 0);
+  return [...new Set(values)].sort((a, b) => a - b).slice(0, ISO_COLORS.length).map(v => v * scale);
+}
+
+function isoLabel(cost) {
+  return metricEl.value === 'time' ? formatDuration(cost) : formatMeters(cost);
+}
+
+function clearIsochrone() {
+  isochroneLayer.clearLayers();
+  isoLegendEl.innerHTML = '';
+  if (isoOrigin) releaseNode(isoOrigin.id);
+  isoOrigin = null;
+}
+
+function showIsochrone(latlng) {
+  clearIsochrone();
+  const id = snapToRoad(latlng);
+  if (id === null) {
+    updateStatus('No road nearby to snap to.');
+    return;
+  }
+  isoOrigin = { id, latlng };
+  drawIsochrone();
+}
+
+function drawIsochrone() {
+  isochroneLayer.clearLayers();
+  isoLegendEl.innerHTML = '';
+  const thresholds = isoThresholds();
+  if (!thresholds.length) {
+    updateStatus('Enter one or more positive thresholds.');
+    return;
+  }
+  const result = isochrones(currentGraph.adjacency, isoOrigin.id, thresholds, { ...routeOptions(), getNode });
+
+  // Widest band first so the nearer ones stay on top
+  for (let k = thresholds.length - 1; k >= 0; k--) {
+    const color = ISO_COLORS[k];
+    if (result.polygons[k].length) {
+      L.polygon(result.polygons[k], { color, weight: 1, fillOpacity: 0.12, fillRule: 'evenodd', interactive: false }).addTo(isochroneLayer);
+    }
+    const lines = result.segments.filter(seg => seg.band === k).map(seg => seg.points);
+    if (lines.length) L.polyline(lines, { color, weight: 4, opacity: 0.9, interactive: false }).addTo(isochroneLayer);
+  }
+  const origin = getNode(isoOrigin.id);
+  L.circleMarker([origin.lat, origin.lng], { radius: 7, color: '#0f172a', weight: 2, fillColor: '#ffffff', fillOpacity: 1 }).addTo(isochroneLayer);
+
+  thresholds.forEach((t, k) => {
+    const li = document.createElement('li');
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = ISO_COLORS[k];
+    li.append(dot, ` within ${isoLabel(t)}`);
+    isoLegendEl.appendChild(li);
+  });
+  const penalty = avoidUnpavedEl.checked ? ', unpaved roads penalized' : '';
+  updateStatus(`${result.dist.size} nodes reachable within ${isoLabel(thresholds[thresholds.length - 1])} ` +
+    `(one-to-all search settled ${result.visitedCount} states${penalty}). Click elsewhere to move the origin.`);
+}
+
+isochroneModeEl.addEventListener('change', () => {
+  resetRoute();
+  if (isochroneModeEl.checked && matrixModeEl.checked) setMatrixMode(false);
+  setPanelVisible(isochronePanel, isochroneModeEl.checked);
+  if (isochroneModeEl.checked) updateStatus('Click the map to see what can be reached from there.');
+});
+
+isoThresholdsEl.addEventListener('change', () => {
+  isoThresholdText[metricEl.value === 'time' ? 'time' : 'distance'] = isoThresholdsEl.value;
+  if (isoOrigin) drawIsochrone();
+});
+
+// --- Distance matrix: route costs from every origin to every destination, one search per origin ---
+const matrixModeEl = document.getElementById('matrixMode');
+const matrixPanel = document.getElementById('matrixPanel');
+const matrixRoleEl = document.getElementById('matrixRole');
+const matrixFileEl = document.getElementById('matrixFile');
+const matrixStatsEl = document.getElementById('matrixStats');
+const matrixTableEl = document.getElementById('matrixTable');
+const matrixLayer = L.layerGroup().addTo(map);
+const MATRIX_COLORS = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2'];
+// { costs, lengths, visitedCount, origins, destinations, nearest } for the snapped points, or null
+let matrixResult = null;
+
+function hasMatrixPoints() {
+  return matrixPoints.origin.length > 0 || matrixPoints.destination.length > 0;
+}
+
+function matrixLabel(cost) {
+  return metricEl.value === 'time' ? formatDuration(cost) : formatMeters(cost);
+}
+
+// keep: add the point even with no road nearby (it is snapped again whenever the graph changes)
+function addMatrixPoint(role, latlng, name = '', { keep = false } = {}) {
+  const id = snapToRoad(latlng);
+  if (id === null && !keep) return false;
+  const list = matrixPoints[role];
+  list.push({ name: name || `${role === 'origin' ? 'O' : 'D'}${list.length + 1}`, latlng, id });
+  return id !== null;
+}
+
+function clearMatrix() {
+  for (const p of [...matrixPoints.origin, ...matrixPoints.destination]) releaseNode(p.id);
+  matrixPoints.origin.length = 0;
+  matrixPoints.destination.length = 0;
+  computeMatrix();
+}
+
+// After the graph changes, put every point back onto the new road network
+function resnapMatrix() {
+  for (const p of [...matrixPoints.origin, ...matrixPoints.destination]) {
+    releaseNode(p.id);
+    p.id = snapToRoad(p.latlng);
+  }
+  computeMatrix();
+}
+
+function computeMatrix() {
+  const origins = matrixPoints.origin.filter(p => p.id !== null);
+  const destinations = matrixPoints.destination.filter(p => p.id !== null);
+  matrixResult = null;
+  if (origins.length && destinations.length) {
+    const result = distanceMatrix(currentGraph.adjacency, origins.map(p => p.id), destinations.map(p => p.id), routeOptions());
+    matrixResult = { ...result, origins, destinations, nearest: nearestOrigins(result.costs) };
+  }
+  drawMatrix();
+  renderMatrixTable();
+
+  const offRoad = matrixPoints.origin.length + matrixPoints.destination.length - origins.length - destinations.length;
+  const skipped = offRoad ? ` ${offRoad} point(s) have no road nearby.` : '';
+  if (matrixResult) {
+    matrixStatsEl.textContent = `${origins.length} × ${destinations.length} from ${origins.length} one-to-many searches ` +
+      `(${matrixResult.visitedCount} states settled).${skipped}`;
+  } else {
+    matrixStatsEl.textContent = `Add at least one origin and one destination.${skipped}`;
+  }
+  if (matrixModeEl.checked) updateStatus(`${matrixStatsEl.textContent} Click to add ${matrixRoleEl.value === 'origin' ? 'origins' : 'destinations'}.`);
+}
+
+function pointLatLng(p) {
+  const n = p.id !== null ? getNode(p.id) : null;
+  return n ? [n.lat, n.lng] : [p.latlng.lat, p.latlng.lng];
+}
+
+// Origins in a colour each; destinations in the colour of their nearest origin, with a line to it
+function drawMatrix() {
+  matrixLayer.clearLayers();
+  const colorOf = i => MATRIX_COLORS[i % MATRIX_COLORS.length];
+  if (matrixResult) {
+    matrixResult.destinations.forEach((d, j) => {
+      const { origin, cost } = matrixResult.nearest[j];
+      if (origin < 0) return;
+      L.polyline([pointLatLng(d), pointLatLng(matrixResult.origins[origin])], { color: colorOf(origin), weight: 2, dashArray: '6 4', interactive: false })
+        .bindTooltip(`${d.name} ← ${matrixResult.origins[origin].name}: ${matrixLabel(cost)}`)
+        .addTo(matrixLayer);
+    });
+  }
+  matrixPoints.origin.forEach((p, i) => {
+    L.circleMarker(pointLatLng(p), { radius: 8, color: '#0f172a', weight: 2, fillColor: colorOf(i), fillOpacity: 1 })
+      .bindTooltip(p.name, { permanent: true, direction: 'right', className: 'matrix-label' })
+      .addTo(matrixLayer);
+  });
+  const nearestOf = new Map(matrixResult ? matrixResult.destinations.map((d, j) => [d, matrixResult.nearest[j].origin]) : []);
+  for (const p of matrixPoints.destination) {
+    const origin = nearestOf.has(p) ? nearestOf.get(p) : -1;
+    L.circleMarker(pointLatLng(p), { radius: 5, color: '#0f172a', weight: 1, fillColor: origin >= 0 ? colorOf(origin) : '#94a3b8', fillOpacity: 1 })
+      .bindTooltip(p.name, { direction: 'right' })
+      .addTo(matrixLayer);
+  }
+}
+
+// One row per origin, one column per destination; each column's nearest origin is highlighted
+function renderMatrixTable() {
+  matrixTableEl.innerHTML = '';
+  if (!matrixResult) return;
+  const { origins, destinations, costs, lengths, nearest } = matrixResult;
+  const head = matrixTableEl.createTHead().insertRow();
+  head.appendChild(document.createElement('th')).textContent = 'From \\ to';
+  for (const d of destinations) head.appendChild(document.createElement('th')).textContent = d.name;
+  const body = matrixTableEl.createTBody();
+  origins.forEach((o, i) => {
+    const row = body.insertRow();
+    const th = row.appendChild(document.createElement('th'));
+    th.textContent = o.name;
+    th.style.color = MATRIX_COLORS[i % MATRIX_COLORS.length];
+    destinations.forEach((d, j) => {
+      const cell = row.insertCell();
+      const reachable = Number.isFinite(costs[i][j]);
+      cell.textContent = reachable ? matrixLabel(costs[i][j]) : '–';
+      cell.title = reachable ? `${o.name} → ${d.name}: ${formatMeters(lengths[i][j])}` : `No route from ${o.name} to ${d.name}`;
+      if (nearest[j].origin === i) cell.className = 'nearest';
+    });
+  });
+}
+
+function setMatrixMode(on) {
+  matrixModeEl.checked = on;
+  if (!on) clearMatrix();
+  setPanelVisible(matrixPanel, on);
+}
+
+matrixModeEl.addEventListener('change', () => {
+  resetRoute();
+  if (matrixModeEl.checked && isochroneModeEl.checked) {
+    isochroneModeEl.checked = false;
+    setPanelVisible(isochronePanel, false);
+  }
+  setMatrixMode(matrixModeEl.checked);
+  if (matrixModeEl.checked) computeMatrix();
+});
+
+matrixRoleEl.addEventListener('change', () => computeMatrix());
+document.getElementById('matrixClear').addEventListener('click', clearMatrix);
+document.getElementById('matrixLoad').addEventListener('click', () => matrixFileEl.click());
+
+// Rows without a role column are added as whatever map clicks currently add
+matrixFileEl.addEventListener('change', async () => {
+  const file = matrixFileEl.files[0];
+  matrixFileEl.value = '';
+  if (!file) return;
+  try {
+    const rows = parseLocationsCSV(await file.text());
+    if (!rows.length) throw new Error('The file contains no locations.');
+    const loading = loadRoadsAround(rows);
+    if (loading) await loading;
+    for (const row of rows) {
+      addMatrixPoint(row.role || matrixRoleEl.value, { lat: row.lat, lng: row.lng }, row.name, { keep: true });
+    }
+    map.fitBounds(L.latLngBounds(rows.map(r => [r.lat, r.lng])), { padding: [30, 30], maxZoom: 16 });
+    computeMatrix();
+  } catch (err) {
+    console.error(err);
+    updateStatus(`Could not load ${file.name}: ${err.message}`);
+  }
+});
+
+document.getElementById('matrixExport').addEventListener('click', () => {
+  if (!matrixResult) {
+    updateStatus('Add at least one origin and one destination first.');
+    return;
+  }
+  const { origins, destinations, costs } = matrixResult;
+  downloadFile('matrix.csv', matrixToCSV(costs, origins.map(o => o.name), destinations.map(d => d.name)), 'text/csv');
+});
+
+// --- Avoidance zones and road closures ---
+const rulesPanel = document.getElementById('rulesPanel');
+const rulesListEl = document.getElementById('rulesList');
+const ruleDraftEl = document.getElementById('ruleDraft');
+const drawZoneBtn = document.getElementById('drawZone');
+const closeRoadBtn = document.getElementById('closeRoad');
+const draftLayer = L.layerGroup().addTo(map);
+let ruleTool = null; // 'zone' | 'closure' while map clicks draw a rule instead of adding stops
+let draftPoints = []; // corners of the zone being drawn
+
+// Cost factors of the enabled rules for the current graph, matched once per graph and rule change
+function avoidanceEdgeFactor() {
+  if (!avoidanceCache || avoidanceCache.graph !== currentGraph) {
+    const factors = edgeFactors(rules, currentGraph.edges, getNode);
+    avoidanceCache = { graph: currentGraph, edgeFactor: factors.size ? edgeFactorOption(factors) : null };
+  }
+  return avoidanceCache.edgeFactor;
+}
+
+function ruleId() {
+  return `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function ruleLabel(rule) {
+  if (rule.type === 'closure') return `Closed: ${rule.name}`;
+  return rule.mode === 'penalty' ? `${rule.name} (×${rule.factor})` : `${rule.name} (avoid)`;
+}
+
+function saveRules() {
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (err) {
+    console.warn('Could not save avoidance rules', err);
+  }
+}
+
+// Every edit ends here: store the rules and route again with them
+function rulesChanged() {
+  avoidanceCache = null;
+  saveRules();
+  renderRuleLayers();
+  renderRulesPanel();
+  if (hasRoute()) computeRoute({ fit: false });
+  if (isoOrigin) drawIsochrone();
+  if (hasMatrixPoints()) computeMatrix();
+}
+
+function renderRuleLayers() {
+  rulesLayer.clearLayers();
+  for (const rule of rules) {
+    const style = { interactive: false, opacity: rule.enabled ? 0.9 : 0.4, dashArray: rule.enabled ? null : '4 6' };
+    if (rule.type === 'zone') {
+      const color = RULE_COLORS[rule.mode];
+      L.polygon(rule.points.map(p => [p.lat, p.lng]), { ...style, color, weight: 2, fillOpacity: rule.enabled ? 0.15 : 0.05 }).addTo(rulesLayer);
+      if (rule.id === editingZone) zoneCornerMarkers(rule);
+      continue;
+    }
+    for (const edge of ruleEdges(rule, currentGraph.edges, getNode)) {
+      L.polyline(edgePoints(edge, getNode).map(p => [p.lat, p.lng]), { ...style, color: RULE_COLORS.closure, weight: 6 }).addTo(rulesLayer);
+    }
+    L.circleMarker([rule.point.lat, rule.point.lng], { ...style, radius: 6, color: '#ffffff', weight: 2, fillColor: RULE_COLORS.closure, fillOpacity: 1 })
+      .addTo(rulesLayer);
+  }
+}
+
+// Draggable corners of the zone being edited; the outline follows while dragging
+function zoneCornerMarkers(rule) {
+  const outline = L.polygon(rule.points.map(p => [p.lat, p.lng]), { color: '#ffffff', weight: 1, fill: false, interactive: false }).addTo(rulesLayer);
+  rule.points.forEach((p, i) => {
+    const icon = L.divIcon({ className: 'zone-corner', iconSize: [12, 12] });
+    const marker = L.marker([p.lat, p.lng], { icon, draggable: true }).addTo(rulesLayer);
+    marker.on('drag', () => {
+      const { lat, lng } = marker.getLatLng();
+      rule.points[i] = { lat, lng };
+      outline.setLatLngs(rule.points.map(q => [q.lat, q.lng]));
+    });
+    marker.on('dragend', rulesChanged);
+  });
+}
+
+function fitRule(rule) {
+  if (rule.type === 'zone') map.fitBounds(L.latLngBounds(rule.points.map(p => [p.lat, p.lng])), { padding: [30, 30] });
+  else map.setView([rule.point.lat, rule.point.lng], Math.max(map.getZoom(), 16));
+}
+
+function ruleButton(text, title, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = text;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// One row per rule: on/off, name (click to show it), zone mode and factor, edit corners, delete
+function renderRulesPanel() {
+  rulesListEl.innerHTML = '';
+  for (const rule of rules) {
+    const li = document.createElement('li');
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Apply this rule when routing';
+    enabled.addEventListener('change', () => {
+      rule.enabled = enabled.checked;
+      rulesChanged();
+    });
+    const label = document.createElement('span');
+    label.textContent = ruleLabel(rule);
+    label.addEventListener('click', () => fitRule(rule));
+    li.append(enabled, label);
+
+    if (rule.type === 'zone') {
+      const mode = document.createElement('select');
+      mode.title = 'Never route through the zone, or only make its roads more expensive';
+      for (const [value, text] of [['avoid', 'Avoid'], ['penalty', 'Penalty']]) mode.add(new Option(text, value, false, rule.mode === value));
+      mode.addEventListener('change', () => {
+        rule.mode = mode.value;
+        rulesChanged();
+      });
+      li.appendChild(mode);
+      if (rule.mode === 'penalty') {
+        const factor = document.createElement('input');
+        factor.type = 'number';
+        factor.min = '1';
+        factor.step = '0.5';
+        factor.value = String(rule.factor);
+        factor.className = 'rule-factor';
+        factor.title = 'Cost multiplier for roads in the zone';
+        factor.addEventListener('change', () => {
+          rule.factor = Number(factor.value) >= 1 ? Number(factor.value) : DEFAULT_PENALTY;
+          rulesChanged();
+        });
+        li.appendChild(factor);
+      }
+      li.appendChild(ruleButton(rule.id === editingZone ? 'Done' : 'Edit', 'Drag the corners of the zone on the map', () => {
+        editingZone = rule.id === editingZone ? null : rule.id;
+        rulesChanged();
+      }));
+    }
+    li.appendChild(ruleButton('✕', 'Delete', () => {
+      rules = rules.filter(r => r !== rule);
+      if (editingZone === rule.id) editingZone = null;
+      rulesChanged();
+    }));
+    rulesListEl.appendChild(li);
+  }
+  ruleDraftEl.hidden = ruleTool !== 'zone';
+  drawZoneBtn.classList.toggle('active', ruleTool === 'zone');
+  closeRoadBtn.classList.toggle('active', ruleTool === 'closure');
+  setPanelVisible(rulesPanel, rules.length > 0 || ruleTool !== null);
+}
+
+function setRuleTool(tool) {
+  ruleTool = tool;
+  draftPoints = [];
+  draftLayer.clearLayers();
+  renderRulesPanel();
+  if (tool === 'zone') updateStatus('Click the map to place the corners of the zone, then click the first corner or Finish. Esc cancels.');
+  else if (tool === 'closure') updateStatus('Click the road to close. Esc cancels.');
+}
+
+function renderDraft() {
+  draftLayer.clearLayers();
+  const latlngs = draftPoints.map(p => [p.lat, p.lng]);
+  if (latlngs.length > 1) L.polyline(latlngs, { color: RULE_COLORS.avoid, weight: 2, dashArray: '6 4', interactive: false }).addTo(draftLayer);
+  latlngs.forEach((ll, i) => {
+    const corner = L.circleMarker(ll, { radius: i === 0 ? 7 : 4, color: RULE_COLORS.avoid, weight: 2, fillColor: '#ffffff', fillOpacity: 1, bubblingMouseEvents: false });
+    if (i === 0) corner.bindTooltip('Click to finish the zone').on('click', finishZone);
+    corner.addTo(draftLayer);
+  });
+}
+
+function finishZone() {
+  if (draftPoints.length < 3) {
+    updateStatus('A zone needs at least three corners.');
+    return;
+  }
+  const number = rules.filter(r => r.type === 'zone').length + 1;
+  rules.push({ id: ruleId(), type: 'zone', name: `Zone ${number}`, mode: 'avoid', factor: DEFAULT_PENALTY, points: draftPoints, enabled: true });
+  setRuleTool(null);
+  rulesChanged();
+  updateStatus('Routes now avoid the zone. Switch it to a penalty, edit or delete it in the Avoid panel.');
+}
+
+// Close the clicked edge. The rule keeps the edge's midpoint, which stays on the same road when
+// the graph is rebuilt (more tiles, simplification toggled)
+function addClosure(latlng) {
+  const snap = spatialIndex && nearestEdge(spatialIndex, latlng, { maxDistance: SNAP_MAX_M });
+  if (!snap) {
+    updateStatus('No road nearby to close.');
+    return;
+  }
+  const [point] = sliceLine(edgePoints(snap.edge, getNode), 0.5, 0.5);
+  const name = roadLabel(snap.edge) || 'unnamed road';
+  rules.push({ id: ruleId(), type: 'closure', name, point, way: snap.edge.way, enabled: true });
+  setRuleTool(null);
+  rulesChanged();
+  updateStatus(`Closed ${name} in both directions.`);
+}
+
+drawZoneBtn.addEventListener('click', () => setRuleTool(ruleTool === 'zone' ? null : 'zone'));
+closeRoadBtn.addEventListener('click', () => setRuleTool(ruleTool === 'closure' ? null : 'closure'));
+document.getElementById('finishZone').addEventListener('click', finishZone);
+document.getElementById('cancelZone').addEventListener('click', () => setRuleTool(null));
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && ruleTool) {
+    setRuleTool(null);
+    updateStatus('Drawing cancelled.');
+  }
+});
+
+renderRulesPanel();
+
+// --- Cost model: multipliers per surface and road class, saved as named presets ---
+const COST_STORAGE_KEY = 'dijnav.costModel';
+const costPanel = document.getElementById('costPanel');
+const costPresetEl = document.getElementById('costPreset');
+const deletePresetBtn = document.getElementById('deletePreset');
+const unpavedFactorEl = document.getElementById('unpavedFactor');
+const surfaceFactorsEl = document.getElementById('surfaceFactors');
+const highwayFactorsEl = document.getElementById('highwayFactors');
+const presetNameEl = document.getElementById('presetName');
+const costSettings = parseCostSettings(localStorage.getItem(COST_STORAGE_KEY)); // { presets, active, model }
+
+function allPresets() {
+  return { ...PRESETS, ...costSettings.presets };
+}
+
+function saveCostSettings() {
+  try {
+    localStorage.setItem(COST_STORAGE_KEY, JSON.stringify(costSettings));
+  } catch (err) {
+    console.warn('Could not save the cost model', err);
+  }
+}
+
+function costModelChanged() {
+  saveCostSettings();
+  renderCostPanel();
+  if (hasRoute()) computeRoute({ fit: false });
+  if (isoOrigin) drawIsochrone();
+  if (hasMatrixPoints()) computeMatrix();
+}
+
+// Any edit turns the model into an unsaved custom one
+function editCostModel(change) {
+  costSettings.model = normalizeModel(change(costSettings.model));
+  costSettings.active = '';
+  costModelChanged();
+}
+
+function factorInput(value, onChange) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '1';
+  input.step = '0.1';
+  input.className = 'cost-input';
+  input.value = String(value);
+  input.classList.toggle('changed', value !== 1);
+  input.addEventListener('change', () => onChange(Number(input.value)));
+  return input;
+}
+
+function renderFactorGrid(el, kind, keys) {
+  el.innerHTML = '';
+  for (const key of keys) {
+    const label = document.createElement('span');
+    label.textContent = key.replace(/_/g, ' ');
+    const input = factorInput(costSettings.model[kind][key] || 1, (value) => {
+      editCostModel(model => ({ ...model, [kind]: { ...model[kind], [key]: value } }));
+    });
+    el.append(label, input);
+  }
+}
+
+function renderCostPanel() {
+  const presets = allPresets();
+  const { active, model } = costSettings;
+  costPresetEl.innerHTML = '';
+  if (!presets[active]) costPresetEl.add(new Option('Custom (unsaved)', ''));
+  for (const name of Object.keys(presets)) costPresetEl.add(new Option(name, name));
+  costPresetEl.value = presets[active] ? active : '';
+  deletePresetBtn.disabled = !costSettings.presets[active];
+  unpavedFactorEl.value = String(model.unpaved);
+  renderFactorGrid(surfaceFactorsEl, 'surface', SURFACES);
+  // Road classes the selected profile can use (the synthetic grid has none)
+  renderFactorGrid(highwayFactorsEl, 'highway', Object.keys(currentProfile().speeds));
+}
+
+costPresetEl.addEventListener('change', () => {
+  const preset = allPresets()[costPresetEl.value];
+  if (!preset) return;
+  costSettings.model = normalizeModel(preset);
+  costSettings.active = costPresetEl.value;
+  costModelChanged();
+});
+
+unpavedFactorEl.addEventListener('change', () => {
+  editCostModel(model => ({ ...model, unpaved: Number(unpavedFactorEl.value) }));
+});
+
+document.getElementById('savePreset').addEventListener('click', () => {
+  const name = presetNameEl.value.trim();
+  if (!name) {
+    updateStatus('Enter a name for the preset first.');
+    return;
+  }
+  if (PRESETS[name]) {
+    updateStatus(`"${name}" is a built-in preset, pick another name.`);
+    return;
+  }
+  costSettings.presets[name] = normalizeModel(costSettings.model);
+  costSettings.active = name;
+  presetNameEl.value = '';
+  costModelChanged();
+  updateStatus(`Saved cost preset "${name}".`);
+});
+
+deletePresetBtn.addEventListener('click', () => {
+  const name = costSettings.active;
+  if (!costSettings.presets[name]) return;
+  delete costSettings.presets[name];
+  costSettings.active = ''; // the factors stay in use as a custom model
+  costModelChanged();
+  updateStatus(`Deleted cost preset "${name}".`);
+});
+
+document.getElementById('costModelBtn').addEventListener('click', () => setPanelVisible(costPanel, costPanel.hidden));
+document.getElementById('closeCosts').addEventListener('click', () => setPanelVisible(costPanel, false));
+
+renderCostPanel();
+
+// --- Route export ---
+// The current route as stops plus one segment per edge, for routefiles.js
+function routeExportData() {
+  return routeFromPath(currentRoute.path, currentRoute.edges, {
+    ...routeOptions(),
+    getNode,
+    name: stops.length > 2 ? `Route via ${stops.length - 2} stop(s)` : 'Route',
+    waypoints: stops.map((stop, i) => {
+      const n = getNode(stop.id);
+      return { name: stopLabel(i), lat: n.lat, lng: n.lng };
+    }),
+  });
+}
+
+const ROUTE_FORMATS = {
+  GPX: { file: 'route.gpx', type: 'application/gpx+xml', write: routeToGPX },
+  GeoJSON: { file: 'route.geojson', type: 'application/geo+json', write: route => JSON.stringify(routeToGeoJSON(route)) },
+  KML: { file: 'route.kml', type: 'application/vnd.google-earth.kml+xml', write: routeToKML },
+};
+
+for (const [format, { file, type, write }] of Object.entries(ROUTE_FORMATS)) {
+  document.getElementById(`download${format}`).addEventListener('click', () => {
+    if (!currentRoute) return;
+    downloadFile(file, write(routeExportData()), type);
+  });
+}
+
+// --- GPS track import and map matching ---
+const trackLayer = L.layerGroup().addTo(map);
+const trackFileEl = document.getElementById('trackFile');
+
+document.getElementById('importTrack').addEventListener('click', () => trackFileEl.click());
+
+trackFileEl.addEventListener('change', async () => {
+  const file = trackFileEl.files[0];
+  trackFileEl.value = '';
+  if (!file) return;
+  const points = parseGPX(await file.text());
+  if (points.length < 2) {
+    updateStatus(`No track points found in ${file.name}.`);
+    return;
+  }
+  resetRoute();
+  const recorded = L.polyline(points.map(p => [p.lat, p.lng]), { color: '#f97316', weight: 3, opacity: 0.9, dashArray: '6 6' });
+  recorded.bindTooltip(`Recorded track (${file.name})`).addTo(trackLayer);
+  map.fitBounds(recorded.getBounds(), { padding: [30, 30] });
+
+  const match = matchTrack(currentGraph.adjacency, spatialIndex, points, { getNode });
+  if (!match.segments.length) {
+    updateStatus('The track does not follow any road of the current graph. Load roads for that area first.');
+    return;
+  }
+  for (const line of match.segments) {
+    L.polyline(line, { color: '#a855f7', weight: 4, opacity: 0.85 }).bindTooltip('Track matched onto roads').addTo(trackLayer);
+  }
+
+  // Route between the matched start and end to compare the recorded trip with the computed one
+  let recordedLength = 0;
+  for (let i = 1; i < points.length; i++) recordedLength += map.distance(points[i - 1], points[i]);
+  const gaps = match.segments.length > 1 ? ` in ${match.segments.length} pieces` : '';
+  const trip = `Track: ${formatMeters(recordedLength)} recorded, ${formatMeters(match.length)} matched onto roads${gaps}`;
+  addStop(match.start.point);
+  addStop(match.end.point);
+  await computeRoute({ fit: false });
+  if (!currentRoute) {
+    updateStatus(`${trip}; no route found between its start and end.`);
+    return;
+  }
+  const computed = routeTotals(currentRoute.edges, routeOptions()).length;
+  const extra = computed > 0 ? Math.round(100 * (match.length / computed - 1)) : 0;
+  updateStatus(`${trip} vs ${formatMeters(computed)} computed route (${extra >= 0 ? '+' : ''}${extra}%).`);
+});
+
+// Handle map clicks: first click is the start, second the end, later clicks add waypoints before the end
+map.on('click', async (e) => {
+  const clicked = { lat: e.latlng.lat, lng: e.latlng.lng };
+  if (ruleTool === 'zone') {
+    draftPoints.push(clicked);
+    renderDraft();
+    return;
+  }
+  const alone = isochroneModeEl.checked || matrixModeEl.checked || ruleTool === 'closure';
+  const loading = loadRoadsAround(alone ? [clicked] : [clicked, ...stopLatLngs()]);
+  if (loading) await loading;
+  if (ruleTool === 'closure') {
+    addClosure(clicked);
+    return;
+  }
+  if (isochroneModeEl.checked) {
+    showIsochrone(clicked);
+    return;
+  }
+  if (matrixModeEl.checked) {
+    if (addMatrixPoint(matrixRoleEl.value, clicked)) computeMatrix();
+    else updateStatus('No road nearby to snap to.');
+    return;
+  }
+  if (!addStop(clicked, stops.length < 2 ? stops.length : stops.length - 1)) {
+    updateStatus('No road nearby to snap to.');
+    return;
+  }
+  addPendingDestination();
+  if (!hasRoute()) {
+    updateStatus('Now click to choose the destination.');
+    updatePermalink();
+    return;
+  }
+  computeRoute();
+});
+
+// --- Permalinks: view, toggles, stops and search place in the URL hash ---
+let searchPlace = ''; // display name of the selected search result
+let restoring = 0; // > 0 while a link is being applied; the hash already says what we are building
+let restoreToken = 0;
+
+function permalinkState() {
+  const center = map.getCenter();
+  return {
+    view: { lat: center.lat, lng: center.lng, zoom: map.getZoom() },
+    roads: useRoadsEl.checked,
+    avoidUnpaved: avoidUnpavedEl.checked,
+    showGraph: showGraphEl.checked,
+    profile: profileEl.value,
+    metric: metricEl.value,
+    algorithm: selectedAlgorithm(),
+    grid: gridCenter,
+    generator: gridGenerator,
+    stops: stops.map(s => s.marker.getLatLng()),
+    place: searchPlace,
+    region: currentRegion ? currentRegion.id : '',
+  };
+}
+
+// Once a route is in the hash, changing its stops starts a new history entry, so back / forward
+// walk through routes; anything else (panning, toggles, picking the first stop) rewrites the current one
+function updatePermalink() {
+  if (restoring || draggingStop) return;
+  const hash = encodePermalink(permalinkState());
+  if (hash === location.hash) return;
+  const previous = decodePermalink(location.hash);
+  const next = decodePermalink(hash);
+  if (previous && previous.stops.length >= 2 && JSON.stringify(previous.stops) !== JSON.stringify(next.stops)) {
+    history.pushState(null, '', hash);
+  } else {
+    history.replaceState(null, '', hash);
+  }
+}
+
+// Rebuild the graph a link was made on and route through its stops again
+async function applyPermalink(state) {
+  const token = ++restoreToken;
+  restoring++;
+  try {
+    setRegionBounds(findRegion(state.region));
+    map.setView([state.view.lat, state.view.lng], state.view.zoom);
+    avoidUnpavedEl.checked = state.avoidUnpaved;
+    if (showGraphEl.checked !== state.showGraph) {
+      showGraphEl.checked = state.showGraph;
+      setGraphVisible(state.showGraph);
+    }
+    searchPlace = state.place;
+    searchInput.value = state.place;
+    // Set before the graph loads: real roads are fetched for the profile
+    const profile = PROFILES[state.profile] ? state.profile : 'car';
+    const profileChanged = profileEl.value !== profile;
+    profileEl.value = profile;
+    const metricChanged = metricEl.value !== state.metric;
+    metricEl.value = state.metric;
+    algorithmEl.value = ALGORITHMS[state.algorithm] ? state.algorithm : 'dijkstra';
+    if (metricChanged) updateIsoUnit();
+    if (profileChanged) renderCostPanel();
+    resetRoute();
+    if (state.roads) {
+      if (!useRoadsEl.checked || !tileStore || profileChanged) await setUseRoads(true);
+      const loading = loadRoadsAround(state.stops);
+      if (loading) await loading;
+    } else {
+      const center = state.grid || state.view;
+      const generator = state.generator || { kind: 'grid', seed: 1 };
+      // Links round the grid center to ~1 m; closer than that it is the grid we already have
+      const sameGrid = !useRoadsEl.checked && gridCenter
+        && Math.abs(gridCenter.lat - center.lat) < 1e-5 && Math.abs(gridCenter.lng - center.lng) < 1e-5
+        && gridGenerator.kind === generator.kind && gridGenerator.seed === generator.seed;
+      if (useRoadsEl.checked) {
+        useRoadsEl.checked = false;
+        tileStore = null;
+        if (abortCtrl) abortCtrl.abort();
+      }
+      if (currentRegion && currentRegion.graph && !state.grid) await loadRegionGraph(currentRegion);
+      else if (!sameGrid) setGridGraph(center, generator);
+    }
+    if (token !== restoreToken) return; // a newer link is being applied
+    for (const p of state.stops) addStop(p);
+    if (hasRoute()) await computeRoute({ fit: false });
+    else if (stops.length) updateStatus('Now click to choose the destination.');
+  } finally {
+    restoring--;
+  }
+}
+
+map.on('moveend', updatePermalink);
+window.addEventListener('popstate', () => {
+  const state = decodePermalink(location.hash);
+  if (state) applyPermalink(state);
+});
 
-// Initial view to encompass the grid
+// Initial view: the shared link if there is one, otherwise the whole grid
+const initialLink = decodePermalink(location.hash);
 const allLatLngs = currentGraph.nodes.map(n => [n.lat, n.lng]);
-if (allLatLngs.length) {
+if (initialLink) {
+  applyPermalink(initialLink);
+} else if (allLatLngs.length) {
   map.fitBounds(L.latLngBounds(allLatLngs), { padding: [30, 30] });
 }
 
 // Expose small API for console debugging
 window.__dijkstraDemo = {
   dijkstra,
+  astar,
+  bidirectional,
+  findRoute,
+  algorithms: Object.keys(ALGORITHMS),
+  clearRoadCache,
+  distanceMatrix,
+  nearestOrigins,
+  get matrix() { return matrixResult; },
   get nodes() { return currentGraph.nodes; },
   get adjacency() { return currentGraph.adjacency; }
 };
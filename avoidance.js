@@ -0,0 +1,119 @@
+// avoidance.js - avoidance zones and road closures, applied to routing as per-edge cost factors
+// Contract:
+//   rule: { id, type: 'zone', mode: 'avoid' | 'penalty', factor, points: Array<{ lat, lng }>, enabled }
+//       | { id, type: 'closure', point: { lat, lng }, way, enabled }
+//     zone: every edge with a piece inside the polygon (or crossing its border) is avoided
+//       (never used) or, in penalty mode, costs `factor` (>= 1, DEFAULT_PENALTY otherwise) times as
+//       much; like the cost model, a rule never makes a road cheaper, so A* stays exact
+//     closure: the edge running through `point` (midpoint of the clicked edge), both directions;
+//       `way` (when known) keeps crossing roads at the same spot open
+//   Rules are plain data, so they can be saved as JSON and posted to the route worker.
+//   ruleEdges(rule, edges, getNode): Array<edge>   the graph edges a rule applies to
+//   edgeFactors(rules, edges, getNode): Map<edge, factor>   enabled rules only, Infinity = unusable;
+//     rules on the same edge multiply
+//   edgeFactorOption(factors): (edge) => factor   for routing opts.edgeFactor; the virtual pieces
+//     a stop splits an edge into (spatial.js) share the factor of their parent edge
+//   parseRules(text): Array<rule>   stored JSON, malformed rules dropped, factors below 1 reset to
+//     DEFAULT_PENALTY
+
+import { edgePoints } from './geo.js';
+
+export const DEFAULT_PENALTY = 5;
+const CLOSURE_TOLERANCE_M = 1; // the stored point lies on the road; this only absorbs rounding
+const M_PER_DEG = 111320;
+
+// Ray casting in lat/lng, fine at the size of a drawn zone
+function insidePolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > p.lat) !== (b.lat > p.lat)
+      && p.lng < (b.lng - a.lng) * (p.lat - a.lat) / (b.lat - a.lat) + a.lng) inside = !inside;
+  }
+  return inside;
+}
+
+function orientation(a, b, c) {
+  return Math.sign((b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng));
+}
+
+function segmentsCross(a, b, c, d) {
+  return orientation(a, b, c) !== orientation(a, b, d) && orientation(c, d, a) !== orientation(c, d, b);
+}
+
+function touchesPolygon(points, polygon) {
+  if (points.some(p => insidePolygon(p, polygon))) return true;
+  for (let i = 1; i < points.length; i++) {
+    for (let k = 0, j = polygon.length - 1; k < polygon.length; j = k++) {
+      if (segmentsCross(points[i - 1], points[i], polygon[j], polygon[k])) return true;
+    }
+  }
+  return false;
+}
+
+// Meters from p to segment ab, on a local flat projection
+function distanceToSegment(p, a, b) {
+  const kx = Math.cos(p.lat * Math.PI / 180) * M_PER_DEG;
+  const ax = (a.lng - p.lng) * kx, ay = (a.lat - p.lat) * M_PER_DEG;
+  const bx = (b.lng - p.lng) * kx, by = (b.lat - p.lat) * M_PER_DEG;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+function passesThrough(points, point) {
+  for (let i = 1; i < points.length; i++) {
+    if (distanceToSegment(point, points[i - 1], points[i]) <= CLOSURE_TOLERANCE_M) return true;
+  }
+  return false;
+}
+
+export function ruleEdges(rule, edges, getNode) {
+  const matches = [];
+  for (const edge of edges) {
+    if (rule.type === 'closure' && rule.way !== undefined && edge.way !== rule.way) continue;
+    const points = edgePoints(edge, getNode);
+    if (points.some(p => !p)) continue;
+    const hit = rule.type === 'zone' ? touchesPolygon(points, rule.points) : passesThrough(points, rule.point);
+    if (hit) matches.push(edge);
+  }
+  return matches;
+}
+
+function ruleFactor(rule) {
+  if (rule.type === 'zone' && rule.mode === 'penalty') return rule.factor >= 1 ? rule.factor : DEFAULT_PENALTY;
+  return Infinity;
+}
+
+export function edgeFactors(rules, edges, getNode) {
+  const factors = new Map();
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const factor = ruleFactor(rule);
+    for (const edge of ruleEdges(rule, edges, getNode)) factors.set(edge, (factors.get(edge) || 1) * factor);
+  }
+  return factors;
+}
+
+export function edgeFactorOption(factors) {
+  return edge => factors.get(edge.parent || edge) || 1;
+}
+
+const isPoint = p => p && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+
+export function parseRules(text) {
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    console.warn('Saved avoidance rules are unreadable', err);
+    return [];
+  }
+  if (!Array.isArray(rules)) return [];
+  return rules.filter(r => r && typeof r.id === 'string' && (
+    (r.type === 'zone' && Array.isArray(r.points) && r.points.length >= 3 && r.points.every(isPoint))
+    || (r.type === 'closure' && isPoint(r.point))
+  )).map(r => (r.type === 'zone' && !(r.factor >= 1) ? { ...r, factor: DEFAULT_PENALTY } : r));
+}
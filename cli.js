@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// cli.js - route on a saved road graph from the command line (Node.js, no browser needed)
+// Usage:
+//   node cli.js <graph.json> --from lat,lng --to lat,lng [--via lat,lng ...] [options]
+//   graph.json: raw Overpass JSON ({ elements }) or GeoJSON (graph export or any road lines)
+//   --algorithm dijkstra | astar | bidirectional (default dijkstra), --profile car | bicycle | foot,
+//   --metric distance | time, --avoid-unpaved, --costs <preset> (costmodel.js, e.g. "Smooth surfaces"),
+//   --simplify, --format text | json | geojson
+// Builds the same graph as the page (buildRoadGraph / graphFromGeoJSON), snaps every point onto the
+// nearest road like a click does, and routes leg by leg. Reports the meters travelled and the cost the route
+// was optimized for (they differ once penalties apply). Exit code 1 when no route exists, 2 on bad usage.
+// Contract (for tests and scripts):
+//   runCli(args, { readFile }): Promise<{ code, output }>   never writes to the console itself
+
+import { readFile as fsReadFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { buildRoadGraph } from './osm.js';
+import { graphFromGeoJSON } from './geojson.js';
+import { contractGraph } from './simplify.js';
+import { findRoute, routeTotals, ALGORITHMS } from './routing.js';
+import { PROFILES } from './profiles.js';
+import { PRESETS, DEFAULT_PRESET } from './costmodel.js';
+import { buildSpatialIndex, nearestEdge, insertVirtualNode } from './spatial.js';
+import { routeFromPath, routeToGeoJSON } from './routefiles.js';
+
+const USAGE = 'Usage: node cli.js <graph.json> --from lat,lng --to lat,lng [--via lat,lng ...] '
+  + '[--algorithm dijkstra|astar|bidirectional] [--profile car|bicycle|foot] [--metric distance|time] '
+  + '[--avoid-unpaved] [--costs <preset>] [--simplify] [--format text|json|geojson]';
+const SNAP_NODE_TOLERANCE_M = 2; // as in the page: this close to a node, use the node itself
+
+function parsePoint(text) {
+  const [lat, lng] = String(text).split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error(`Not a lat,lng pair: ${text}`);
+  return { lat, lng };
+}
+
+function parseArgs(args) {
+  const options = { via: [], algorithm: 'dijkstra', profile: 'car', metric: 'distance', costs: DEFAULT_PRESET, format: 'text' };
+  const values = { '--from': 'from', '--to': 'to', '--algorithm': 'algorithm', '--profile': 'profile', '--metric': 'metric', '--costs': 'costs', '--format': 'format' };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--via') options.via.push(parsePoint(args[++i]));
+    else if (arg === '--avoid-unpaved') options.avoidUnpaved = true;
+    else if (arg === '--simplify') options.simplify = true;
+    else if (values[arg]) options[values[arg]] = args[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument ${arg}`);
+  }
+  if (!options.file || !options.from || !options.to) throw new Error('A graph file, --from and --to are required');
+  if (!ALGORITHMS[options.algorithm]) throw new Error(`Unknown algorithm ${options.algorithm}`);
+  if (!PROFILES[options.profile]) throw new Error(`Unknown profile ${options.profile}`);
+  if (!['distance', 'time'].includes(options.metric)) throw new Error(`Unknown metric ${options.metric}`);
+  if (!PRESETS[options.costs]) throw new Error(`Unknown cost preset ${options.costs} (${Object.keys(PRESETS).join(', ')})`);
+  if (!['text', 'json', 'geojson'].includes(options.format)) throw new Error(`Unknown format ${options.format}`);
+  options.from = parsePoint(options.from);
+  options.to = parsePoint(options.to);
+  return options;
+}
+
+// Overpass JSON or GeoJSON, built exactly as the page builds it
+export function loadGraph(data, { profile = 'car', simplify = false } = {}) {
+  const graph = Array.isArray(data.elements) ? buildRoadGraph(data, { profile }) : graphFromGeoJSON(data, { profile });
+  return simplify ? contractGraph(graph) : graph;
+}
+
+export async function runCli(args, { readFile = fsReadFile } = {}) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    return { code: 2, output: `${err.message}\n${USAGE}\n` };
+  }
+
+  const graph = loadGraph(JSON.parse(await readFile(options.file, 'utf8')), options);
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  const getNode = id => nodeById.get(id);
+  const index = buildSpatialIndex(graph.adjacency, getNode);
+  const points = [options.from, ...options.via, options.to];
+  const ids = [];
+  for (const p of points) {
+    const snap = nearestEdge(index, p);
+    if (!snap) return { code: 1, output: 'The graph has no roads to snap to.\n' };
+    if (snap.t * snap.edge.weight < SNAP_NODE_TOLERANCE_M) ids.push(snap.from);
+    else if ((1 - snap.t) * snap.edge.weight < SNAP_NODE_TOLERANCE_M) ids.push(snap.edge.to);
+    else {
+      const node = insertVirtualNode(graph, snap);
+      nodeById.set(node.id, node);
+      ids.push(node.id);
+    }
+  }
+
+  const profile = PROFILES[options.profile];
+  const costModel = PRESETS[options.costs];
+  const opts = {
+    avoidUnpaved: Boolean(options.avoidUnpaved),
+    unpavedFactor: costModel.unpaved,
+    costModel,
+    restrictions: graph.restrictions,
+    nodes: nodeById,
+    metric: options.metric,
+    fallbackSpeed: profile.defaultSpeed / 3.6,
+    maxSpeed: profile.maxSpeed / 3.6,
+  };
+  const path = [];
+  const edges = [];
+  let visitedCount = 0;
+  let cost = 0;
+  for (let i = 0; i < ids.length - 1; i++) {
+    const leg = findRoute(options.algorithm, graph.adjacency, ids[i], ids[i + 1], opts);
+    if (!leg.path.length || !Number.isFinite(leg.distance)) {
+      return { code: 1, output: `No route found between point ${i + 1} and point ${i + 2}.\n` };
+    }
+    path.push(...(path.length ? leg.path.slice(1) : leg.path));
+    edges.push(...leg.edges);
+    visitedCount += leg.visitedCount;
+    cost += leg.cost;
+  }
+
+  const totals = routeTotals(edges, opts);
+  const waypoints = ids.map((id, i) => ({ name: i === 0 ? 'Start' : i === ids.length - 1 ? 'End' : `Stop ${i}`, lat: getNode(id).lat, lng: getNode(id).lng }));
+  const geojson = routeToGeoJSON(routeFromPath(path, edges, { ...opts, getNode, waypoints }));
+  // Virtual node ids only mean something inside this run
+  const shownPath = path.map(id => (getNode(id).virtual ? `${getNode(id).lat.toFixed(6)},${getNode(id).lng.toFixed(6)}` : id));
+
+  if (options.format === 'geojson') return { code: 0, output: `${JSON.stringify(geojson)}\n` };
+  if (options.format === 'json') {
+    const result = { distance: totals.length, duration: totals.duration, cost, visitedCount, path: shownPath, geojson };
+    return { code: 0, output: `${JSON.stringify(result)}\n` };
+  }
+  const lines = [
+    `Distance: ${totals.length.toFixed(1)} m`,
+    `Duration: ${totals.duration.toFixed(0)} s`,
+    `Cost: ${cost.toFixed(1)} (${options.metric === 'time' ? 's' : 'm'}, ${options.costs}${opts.avoidUnpaved ? ', unpaved avoided' : ''})`,
+    `Algorithm: ${ALGORITHMS[options.algorithm].label} (visited ${visitedCount} nodes)`,
+    `Path (${path.length} nodes): ${shownPath.join(' -> ')}`,
+  ];
+  return { code: 0, output: `${lines.join('\n')}\n` };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runCli(process.argv.slice(2)).then(({ code, output }) => {
+    (code === 0 ? process.stdout : process.stderr).write(output);
+    process.exitCode = code;
+  }, (err) => {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 2;
+  });
+}
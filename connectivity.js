@@ -0,0 +1,98 @@
+// connectivity.js - connected components of a road graph
+// Contract:
+//   connectedComponents(adjacency): { componentOf: Map<nodeId, index>, sizes: number[], main: index }
+//     Components are weakly connected (edge direction ignored) and numbered by decreasing size,
+//     so `main` (the largest component) is always 0 when the graph has any node.
+//   islandSummary(graph, components): Array<{ component, nodes, length, bounds }>
+//     every island (component but the main one), largest first; length: meters of road (both
+//     directions of a two-way road counted once), bounds: { south, west, north, east }
+//   pruneIslands(graph, minSize): graph   without the components of fewer than minSize nodes (the main
+//     component always stays); the result has pruned: { islands, nodes } saying what was dropped
+// Nodes without any edge (e.g. on footways when routing cars) are not islands: they are not
+// reported, and pruning drops them without counting them.
+
+export function connectedComponents(adjacency) {
+  // Union-find over node ids
+  const parent = new Map();
+  const find = (x) => {
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(x) !== root) {
+      const next = parent.get(x);
+      parent.set(x, root);
+      x = next;
+    }
+    return root;
+  };
+  for (const id of Object.keys(adjacency)) parent.set(id, id);
+  for (const from of Object.keys(adjacency)) {
+    for (const edge of adjacency[from]) {
+      if (!parent.has(edge.to)) parent.set(edge.to, edge.to);
+      const a = find(from);
+      const b = find(edge.to);
+      if (a !== b) parent.set(a, b);
+    }
+  }
+
+  // Group by root, then number the groups from largest to smallest
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+  const ordered = [...groups.values()].sort((a, b) => b.length - a.length);
+  const componentOf = new Map();
+  ordered.forEach((members, index) => {
+    for (const id of members) componentOf.set(id, index);
+  });
+
+  return { componentOf, sizes: ordered.map(m => m.length), main: 0 };
+}
+
+export function islandSummary(graph, components) {
+  const { componentOf, sizes, main } = components;
+  const islands = new Map();
+  // A two-way road is two edges; count the pair once
+  const seen = new Set();
+  for (const e of graph.edges) {
+    const component = componentOf.get(e.from);
+    if (component === main) continue;
+    if (!islands.has(component)) {
+      const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+      islands.set(component, { component, nodes: sizes[component], length: 0, bounds });
+    }
+    const key = e.from < e.to ? `${e.from}|${e.to}|${e.way}` : `${e.to}|${e.from}|${e.way}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    islands.get(component).length += e.weight;
+  }
+  for (const n of graph.nodes) {
+    const island = islands.get(componentOf.get(n.id));
+    if (!island) continue;
+    const b = island.bounds;
+    b.south = Math.min(b.south, n.lat); b.north = Math.max(b.north, n.lat);
+    b.west = Math.min(b.west, n.lng); b.east = Math.max(b.east, n.lng);
+  }
+  return [...islands.values()].sort((a, b) => b.nodes - a.nodes || a.component - b.component);
+}
+
+export function pruneIslands(graph, minSize) {
+  const { componentOf, sizes, main } = connectedComponents(graph.adjacency);
+  const keep = (id) => {
+    const component = componentOf.get(id);
+    return component === main || sizes[component] >= minSize;
+  };
+  const nodes = graph.nodes.filter(n => keep(n.id));
+  const edges = graph.edges.filter(e => keep(e.from));
+  const adjacency = Object.create(null);
+  for (const n of nodes) adjacency[n.id] = [];
+  for (const e of edges) adjacency[e.from].push(e);
+  const restrictions = {};
+  for (const [via, rules] of Object.entries(graph.restrictions || {})) {
+    if (keep(via)) restrictions[via] = rules;
+  }
+  const dropped = new Set(graph.edges.filter(e => !keep(e.from)).map(e => componentOf.get(e.from)));
+  const droppedNodes = [...dropped].reduce((sum, c) => sum + sizes[c], 0);
+  return { ...graph, nodes, edges, adjacency, restrictions, pruned: { islands: dropped.size, nodes: droppedNodes } };
+}
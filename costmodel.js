@@ -0,0 +1,98 @@
+// costmodel.js - how much each kind of road costs per meter (or second), beyond its length / travel time
+// Contract:
+//   model: { unpaved: number, surface: Record<surface, number>, highway: Record<highway, number> }
+//     surface / highway: multipliers by the edge's `surface` value and `highway` class (missing = 1)
+//     unpaved: multiplier for unpaved edges while "Avoid unpaved" is on (routing opts.unpavedFactor)
+//   PRESETS: Record<name, model>   built-in named models; 'Balanced' is the default
+//   modelFactor(model, edge): number   product of the edge's surface and highway multipliers
+//   normalizeModel(model): model   a clean copy: unknown keys dropped, every factor a number >= 1
+//     (cheaper-than-length roads would make the A* heuristic overestimate)
+//   parseCostSettings(text): { presets, active, model }   what the page saved (JSON of the same shape):
+//     presets: the user's own named models (built-ins are not stored), malformed entries dropped;
+//     active: name of the selected preset ('' after editing); model: the model in use
+// The router applies modelFactor through opts.costModel (routing.js); models are plain JSON, so
+// they travel to the route worker and into localStorage as they are.
+
+export const DEFAULT_PRESET = 'Balanced';
+
+// Surface values worth a row in the cost panel, roughly from smooth to rough
+export const SURFACES = [
+  'paved', 'asphalt', 'concrete', 'paving_stones', 'sett', 'cobblestone', 'compacted', 'fine_gravel',
+  'gravel', 'pebblestone', 'unpaved', 'ground', 'dirt', 'earth', 'grass', 'sand', 'mud',
+];
+
+export const PRESETS = {
+  [DEFAULT_PRESET]: { unpaved: 3, surface: {}, highway: {} },
+  'Smooth surfaces': {
+    unpaved: 3,
+    surface: {
+      sett: 1.5, cobblestone: 2, compacted: 1.3, fine_gravel: 1.5, gravel: 2, pebblestone: 3,
+      unpaved: 2.5, ground: 3, dirt: 3, earth: 3, grass: 4, sand: 5, mud: 6,
+    },
+    highway: {},
+  },
+  'Main roads': {
+    unpaved: 3,
+    surface: {},
+    highway: { unclassified: 1.3, residential: 1.5, living_street: 2, service: 2.5, track: 3, path: 3 },
+  },
+  'Quiet streets': {
+    unpaved: 2,
+    surface: {},
+    highway: {
+      trunk: 4, trunk_link: 4, primary: 2.5, primary_link: 2.5, secondary: 1.8, secondary_link: 1.8,
+      tertiary: 1.3, tertiary_link: 1.3,
+    },
+  },
+};
+
+export function modelFactor(model, edge) {
+  const surface = model.surface[edge.surface] || 1;
+  const highway = model.highway[edge.highway] || 1;
+  return surface * highway;
+}
+
+function factor(value, fallback = 1) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(1, n) : fallback;
+}
+
+function factors(record) {
+  const clean = Object.create(null);
+  if (!record || typeof record !== 'object') return clean;
+  for (const [key, value] of Object.entries(record)) {
+    const n = factor(value);
+    if (n !== 1) clean[key] = n; // 1 is the default, no need to keep it
+  }
+  return clean;
+}
+
+export function normalizeModel(model = {}) {
+  return {
+    unpaved: factor(model.unpaved, PRESETS[DEFAULT_PRESET].unpaved),
+    surface: factors(model.surface),
+    highway: factors(model.highway),
+  };
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export function parseCostSettings(text) {
+  const settings = { presets: {}, active: DEFAULT_PRESET, model: normalizeModel(PRESETS[DEFAULT_PRESET]) };
+  let saved;
+  try {
+    saved = JSON.parse(text);
+  } catch (err) {
+    console.warn('Saved cost settings are unreadable', err);
+    return settings;
+  }
+  if (!isObject(saved)) return settings;
+  if (isObject(saved.presets)) {
+    for (const [name, model] of Object.entries(saved.presets)) {
+      if (name.trim() && !PRESETS[name] && isObject(model)) settings.presets[name] = normalizeModel(model);
+    }
+  }
+  if (isObject(saved.model)) settings.model = normalizeModel(saved.model);
+  if (typeof saved.active === 'string') settings.active = saved.active;
+  return settings;
+}
@@ -0,0 +1,96 @@
+// directions.js - collapse a routed node path into turn-by-turn maneuvers
+// Contract:
+//   buildDirections(path, edges, { getNode, adjacency, destination }): Array<Maneuver>
+//     path / edges: as returned by the routing algorithms (edges[i] goes path[i] -> path[i + 1])
+//     getNode(id): { lat, lng }
+//     destination: name used by the final "Arrive at ..." step (default 'destination')
+//     Maneuver: { type: 'depart' | 'turn' | 'arrive', modifier, road, distance, text, lat, lng, node }
+//       distance: meters travelled after the maneuver until the next one
+//   A new maneuver starts when the road name changes, or when the route bends at an intersection.
+
+import { bearing, edgePoints } from './geo.js';
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Display name of the road an edge belongs to ('' for unnamed roads)
+export function roadLabel(edge) {
+  if (!edge) return '';
+  if (edge.name && edge.ref) return `${edge.name} (${edge.ref})`;
+  return edge.name || edge.ref || '';
+}
+
+// Turn angle in degrees from one heading to the next: negative = left, positive = right
+function turnAngle(inBearing, outBearing) {
+  return ((outBearing - inBearing + 540) % 360) - 180;
+}
+
+function turnModifier(angle) {
+  const a = Math.abs(angle);
+  const side = angle < 0 ? 'left' : 'right';
+  if (a < 20) return 'straight';
+  if (a < 60) return `slight ${side}`;
+  if (a < 135) return side;
+  if (a < 170) return `sharp ${side}`;
+  return 'uturn';
+}
+
+export function formatMeters(m) {
+  if (m >= 1000) return `${(m / 1000).toFixed(1)} km`;
+  return `${Math.max(10, Math.round(m / 10) * 10)} m`;
+}
+
+function maneuverText(m, destination) {
+  const onto = m.road ? ` onto ${m.road}` : '';
+  const on = m.road ? ` on ${m.road}` : '';
+  const tail = `, continue ${formatMeters(m.distance)}`;
+  if (m.type === 'depart') return `Head ${m.modifier}${on}${tail}`;
+  if (m.type === 'arrive') return `Arrive at ${destination}`;
+  if (m.modifier === 'straight') return `Continue straight${onto}${tail}`;
+  if (m.modifier === 'uturn') return `Make a U-turn${onto}${tail}`;
+  return `Turn ${m.modifier}${onto}${tail}`;
+}
+
+export function buildDirections(path, edges, { getNode, adjacency = {}, destination = 'destination' } = {}) {
+  if (!path || path.length < 2) return [];
+  const steps = [];
+  // Headings leaving / entering along the edge's own shape, so curved chains turn where they really do
+  const shape = (i) => (edges[i] ? edgePoints(edges[i], getNode) : [getNode(path[i]), getNode(path[i + 1])]);
+  const headingOut = (i) => { const p = shape(i); return bearing(p[0], p[1]); };
+  const headingIn = (i) => { const p = shape(i); return bearing(p[p.length - 2], p[p.length - 1]); };
+
+  const first = getNode(path[0]);
+  let current = {
+    type: 'depart',
+    modifier: COMPASS[Math.round(headingOut(0) / 45) % 8],
+    road: roadLabel(edges[0]),
+    distance: 0,
+    lat: first.lat,
+    lng: first.lng,
+    node: path[0],
+  };
+
+  for (let i = 0; i < edges.length; i++) {
+    if (i > 0) {
+      const road = roadLabel(edges[i]);
+      const angle = turnAngle(headingIn(i - 1), headingOut(i));
+      const modifier = turnModifier(angle);
+      // A bend only counts as a maneuver where there was another way to go
+      const exits = new Set((adjacency[path[i]] || []).map(e => e.to));
+      exits.delete(path[i - 1]);
+      const atIntersection = exits.size > 1;
+      if (road !== current.road || (modifier !== 'straight' && atIntersection)) {
+        steps.push(current);
+        const n = getNode(path[i]);
+        current = { type: 'turn', modifier, road, distance: 0, lat: n.lat, lng: n.lng, node: path[i] };
+      }
+    }
+    current.distance += edges[i].weight;
+  }
+  steps.push(current);
+
+  const last = getNode(path[path.length - 1]);
+  steps.push({ type: 'arrive', modifier: null, road: '', distance: 0, lat: last.lat, lng: last.lng, node: path[path.length - 1] });
+
+  for (const s of steps) s.text = maneuverText(s, destination);
+  return steps;
+}
@@ -0,0 +1,54 @@
+// geo.js - small geographic helpers shared across modules
+
+// Haversine distance between two lat/lng points (meters)
+export function haversine(a, b) {
+  const R = 6371000;
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const sinDLat = Math.sin(dLat / 2);
+  const sinDLng = Math.sin(dLng / 2);
+  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial bearing from a to b in degrees (0 = north, 90 = east)
+export function bearing(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Polyline of an edge: the geometry of a contracted chain (see simplify.js), else the straight segment
+export function edgePoints(edge, getNode) {
+  return edge.geometry || [getNode(edge.from), getNode(edge.to)];
+}
+
+// Part of a polyline between fractions f0 <= f1 (0..1) of its length, as a new array of points
+export function sliceLine(points, f0, f1) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) lengths.push(lengths[i - 1] + haversine(points[i - 1], points[i]));
+  const total = lengths[lengths.length - 1];
+  const at = (f) => {
+    const d = f * total;
+    let i = 1;
+    while (i < points.length - 1 && lengths[i] < d) i++;
+    const seg = lengths[i] - lengths[i - 1];
+    const k = seg > 0 ? Math.min(1, Math.max(0, (d - lengths[i - 1]) / seg)) : 0;
+    const a = points[i - 1];
+    const b = points[i];
+    return { lat: a.lat + k * (b.lat - a.lat), lng: a.lng + k * (b.lng - a.lng) };
+  };
+  const line = [at(f0)];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (lengths[i] > f0 * total && lengths[i] < f1 * total) line.push(points[i]);
+  }
+  line.push(at(f1));
+  return line;
+}
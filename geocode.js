@@ -1,32 +1,243 @@
-// geocode.js - Nominatim search helpers
-// searchPlaces(query, { limit, viewbox, bounded }) returns array of { display, center, bounds }
-
-export async function searchPlaces(query, opts = {}) {
-  const { limit = 5, viewbox = null, bounded = false, signal } = opts;
-  const params = new URLSearchParams({
-    q: query,
-    format: 'jsonv2',
-    addressdetails: '0',
-    polygon_geojson: '0',
-    limit: String(limit),
-  });
-  if (viewbox) {
-    // viewbox expects left,top,right,bottom in lon,lat
-    const sw = viewbox.getSouthWest();
-    const ne = viewbox.getNorthEast();
-    const left = sw.lng, right = ne.lng, top = ne.lat, bottom = sw.lat;
-    params.set('viewbox', `${left},${top},${right},${bottom}`);
-    if (bounded) params.set('bounded', '1');
-  }
-  const url = `https://nominatim.openstreetmap.org/search?${params.toString()}`;
+// geocode.js - place search and reverse geocoding behind swappable providers
+// Contract:
+//   place: { display, center: [lat, lng], bounds: [[south, west], [north, east]] | null }
+//     (plain arrays, which Leaflet accepts wherever it takes bounds, so this also runs outside the page)
+//   provider: { name, label, minInterval, autocomplete, search(query, opts): Promise<place[]>, reverse(latlng, opts): Promise<place | null> }
+//     search opts: { limit, viewbox, bounded, signal }; viewbox: { south, west, north, east } or Leaflet bounds
+//     minInterval: milliseconds the provider wants between two requests (Nominatim: one per second)
+//     autocomplete: whether it may be searched while the user types (Nominatim's policy forbids it)
+//   nominatimProvider({ endpoint }), photonProvider({ endpoint }): the public OSM geocoders
+//   gazetteerProvider(entries): a local stand-in; entries (or a promise of them): Array<{ name, lat, lng, bounds? }>
+//   createGeocoder(provider, { cacheSize }): { provider, search, reverse }   the provider's calls with results
+//     cached (reverse lookups per ~10 m) and requests queued to respect its minInterval. Callers asking
+//     the same thing share one request; a caller's signal only ends its own wait, and the request is
+//     aborted once nobody waits for it any more
+//   createRateLimiter(minInterval): schedule(task, signal): Promise   runs tasks one at a time, starting
+//     them at least minInterval apart; a task whose signal aborts while it waits never runs
+//   searchPlaces(query, { limit, viewbox, bounded, signal }): Nominatim search without caching or queueing
+
+import { haversine } from './geo.js';
+
+const NOMINATIM = 'https://nominatim.openstreetmap.org';
+const PHOTON = 'https://photon.komoot.io';
+const REVERSE_DIGITS = 4; // ~10 m: clicks closer than that share one reverse lookup
+const GAZETTEER_REVERSE_M = 300;
+
+function abortError() {
+  return new DOMException('The request was aborted.', 'AbortError');
+}
+
+function toBox(viewbox) {
+  if (!viewbox) return null;
+  return typeof viewbox.getSouth === 'function'
+    ? { south: viewbox.getSouth(), west: viewbox.getWest(), north: viewbox.getNorth(), east: viewbox.getEast() }
+    : viewbox;
+}
+
+async function getJSON(url, signal, service) {
   const resp = await fetch(url, { headers: { 'Accept': 'application/json' }, signal });
-  if (!resp.ok) throw new Error(`Nominatim error: ${resp.status}`);
-  const data = await resp.json();
-  return (data || []).map((d) => ({
-    display: d.display_name,
-    center: [parseFloat(d.lat), parseFloat(d.lon)],
-    bounds: toBoundsFromNominatim(d.boundingbox),
-  }));
+  if (!resp.ok) throw new Error(`${service} error: ${resp.status}`);
+  return resp.json();
+}
+
+// Street and house number first, then the place around it; Nominatim's display_name is very long
+function nominatimAddress(d) {
+  const a = d.address || {};
+  const street = [a.road || a.pedestrian || a.footway, a.house_number].filter(Boolean).join(' ');
+  const area = a.suburb || a.neighbourhood || a.quarter;
+  const town = a.city || a.town || a.village || a.municipality;
+  const parts = [d.name && d.name !== a.road ? d.name : '', street, area, town].filter(Boolean);
+  return parts.length ? [...new Set(parts)].join(', ') : d.display_name;
+}
+
+export function nominatimProvider({ endpoint = NOMINATIM } = {}) {
+  return {
+    name: 'nominatim',
+    label: 'Nominatim',
+    minInterval: 1000, // https://operations.osmfoundation.org/policies/nominatim/
+    autocomplete: false, // the same policy: no searching as you type
+    async search(query, { limit = 5, viewbox = null, bounded = false, signal } = {}) {
+      const params = new URLSearchParams({
+        q: query,
+        format: 'jsonv2',
+        addressdetails: '0',
+        polygon_geojson: '0',
+        limit: String(limit),
+      });
+      const b = toBox(viewbox);
+      if (b) {
+        // viewbox expects left,top,right,bottom in lon,lat
+        params.set('viewbox', `${b.west},${b.north},${b.east},${b.south}`);
+        if (bounded) params.set('bounded', '1');
+      }
+      const data = await getJSON(`${endpoint}/search?${params.toString()}`, signal, 'Nominatim');
+      return (data || []).map((d) => ({
+        display: d.display_name,
+        center: [parseFloat(d.lat), parseFloat(d.lon)],
+        bounds: toBoundsFromNominatim(d.boundingbox),
+      }));
+    },
+    async reverse({ lat, lng }, { signal } = {}) {
+      const params = new URLSearchParams({ lat: String(lat), lon: String(lng), format: 'jsonv2', zoom: '18', addressdetails: '1' });
+      const d = await getJSON(`${endpoint}/reverse?${params.toString()}`, signal, 'Nominatim');
+      if (!d || d.error) return null;
+      return { display: nominatimAddress(d), center: [parseFloat(d.lat), parseFloat(d.lon)], bounds: toBoundsFromNominatim(d.boundingbox) };
+    },
+  };
+}
+
+function photonPlace(feature) {
+  const p = feature.properties || {};
+  const [lng, lat] = feature.geometry.coordinates;
+  const street = [p.street, p.housenumber].filter(Boolean).join(' ');
+  const parts = [...new Set([p.name, street, p.district, p.city, p.country].filter(Boolean))];
+  // extent: [west, north, east, south]
+  const bounds = Array.isArray(p.extent) && p.extent.length === 4 ? [[p.extent[3], p.extent[0]], [p.extent[1], p.extent[2]]] : null;
+  return { display: parts.join(', ') || `${lat.toFixed(5)}, ${lng.toFixed(5)}`, center: [lat, lng], bounds };
+}
+
+export function photonProvider({ endpoint = PHOTON } = {}) {
+  return {
+    name: 'photon',
+    label: 'Photon',
+    minInterval: 200,
+    autocomplete: true,
+    async search(query, { limit = 5, viewbox = null, bounded = false, signal } = {}) {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      const b = toBox(viewbox);
+      if (b) {
+        // Photon has no soft viewbox; rank by distance from its center instead
+        params.set('lat', String((b.south + b.north) / 2));
+        params.set('lon', String((b.west + b.east) / 2));
+        if (bounded) params.set('bbox', `${b.west},${b.south},${b.east},${b.north}`);
+      }
+      const data = await getJSON(`${endpoint}/api/?${params.toString()}`, signal, 'Photon');
+      return ((data && data.features) || []).map(photonPlace);
+    },
+    async reverse({ lat, lng }, { signal } = {}) {
+      const params = new URLSearchParams({ lat: String(lat), lon: String(lng), limit: '1' });
+      const data = await getJSON(`${endpoint}/reverse?${params.toString()}`, signal, 'Photon');
+      const [feature] = (data && data.features) || [];
+      return feature ? photonPlace(feature) : null;
+    },
+  };
+}
+
+function gazetteerPlace(entry) {
+  return { display: entry.name, center: [entry.lat, entry.lng], bounds: entry.bounds || null };
+}
+
+export function gazetteerProvider(entries) {
+  return {
+    name: 'gazetteer',
+    label: 'Local gazetteer',
+    minInterval: 0,
+    autocomplete: true,
+    async search(query, { limit = 5, viewbox = null, bounded = false } = {}) {
+      const words = query.toLowerCase().split(/[\s,]+/).filter(Boolean);
+      const b = bounded ? toBox(viewbox) : null;
+      const matches = [];
+      for (const entry of await entries) {
+        const name = entry.name.toLowerCase();
+        if (!words.every(w => name.includes(w))) continue;
+        if (b && !(entry.lat >= b.south && entry.lat <= b.north && entry.lng >= b.west && entry.lng <= b.east)) continue;
+        // Names that start with the query first, then shorter (more specific) names
+        matches.push({ entry, rank: (name.startsWith(words[0]) ? 0 : 1) * 1000 + name.length });
+      }
+      return matches.sort((x, y) => x.rank - y.rank).slice(0, limit).map(m => gazetteerPlace(m.entry));
+    },
+    async reverse(latlng) {
+      let best = null;
+      for (const entry of await entries) {
+        const d = haversine(latlng, entry);
+        if (d <= GAZETTEER_REVERSE_M && (!best || d < best.d)) best = { entry, d };
+      }
+      return best ? gazetteerPlace(best.entry) : null;
+    },
+  };
+}
+
+export function createRateLimiter(minInterval) {
+  let queue = Promise.resolve();
+  let lastStart = -Infinity;
+  return function schedule(task, signal) {
+    const run = queue.then(async () => {
+      if (signal && signal.aborted) throw abortError();
+      const wait = lastStart + minInterval - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      if (signal && signal.aborted) throw abortError();
+      lastStart = Date.now();
+      return task();
+    });
+    queue = run.catch(() => {}); // one failed request does not hold up the next
+    return run;
+  };
+}
+
+export function createGeocoder(provider, { cacheSize = 200 } = {}) {
+  const schedule = createRateLimiter(provider.minInterval || 0);
+  const cache = new Map(); // key -> { promise, controller, waiting, settled }, oldest first
+
+  function forget(key, entry) {
+    if (cache.get(key) === entry) cache.delete(key);
+  }
+
+  // The request runs with its own signal, not the first caller's
+  function cached(key, request, signal) {
+    let entry = cache.get(key);
+    if (entry) {
+      cache.delete(key); // most recently used goes last
+      cache.set(key, entry);
+    } else {
+      const controller = new AbortController();
+      entry = { promise: request(controller.signal), controller, waiting: 0, settled: false };
+      const created = entry;
+      created.promise.then(() => { created.settled = true; }, () => {
+        created.settled = true;
+        forget(key, created); // errors and aborts are asked again next time
+      });
+      cache.set(key, entry);
+      if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+    }
+    return waitFor(key, entry, signal);
+  }
+
+  function waitFor(key, entry, signal) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    entry.waiting++;
+    if (!signal) return entry.promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.waiting--;
+        if (!entry.waiting && !entry.settled) {
+          forget(key, entry);
+          entry.controller.abort();
+        }
+        reject(abortError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  return {
+    provider,
+    search(query, opts = {}) {
+      const { limit = 5, viewbox = null, bounded = false, signal } = opts;
+      const b = toBox(viewbox);
+      const box = b ? [b.south, b.west, b.north, b.east].map(v => v.toFixed(3)).join(',') : '';
+      const key = `search|${query.trim().toLowerCase()}|${limit}|${box}|${bounded ? 1 : 0}`;
+      return cached(key, shared => schedule(() => provider.search(query, { limit, viewbox: b, bounded, signal: shared }), shared), signal);
+    },
+    reverse(latlng, { signal } = {}) {
+      const p = { lat: Number(latlng.lat.toFixed(REVERSE_DIGITS)), lng: Number(latlng.lng.toFixed(REVERSE_DIGITS)) };
+      return cached(`reverse|${p.lat},${p.lng}`, shared => schedule(() => provider.reverse(p, { signal: shared }), shared), signal);
+    },
+  };
+}
+
+export function searchPlaces(query, opts = {}) {
+  return nominatimProvider().search(query, opts);
 }
 
 export function toBoundsFromNominatim(bbox) {
@@ -36,5 +247,5 @@ export function toBoundsFromNominatim(bbox) {
   const n = parseFloat(bbox[1]);
   const w = parseFloat(bbox[2]);
   const e = parseFloat(bbox[3]);
-  return L.latLngBounds([[s, w], [n, e]]);
+  return [[s, w], [n, e]];
 }
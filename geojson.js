@@ -0,0 +1,114 @@
+// geojson.js - road graphs to and from GeoJSON files
+// Contract:
+//   graphToGeoJSON(graph): FeatureCollection
+//     one LineString per directed edge (its full shape for contracted chains, see simplify.js);
+//     properties carry `from`/`to` node ids plus the edge
+//     attributes (weight, duration, way, name, ref, highway, surface, unpaved). Turn restrictions
+//     travel along as a top-level `restrictions` member.
+//   graphFromGeoJSON(geojson, { profile }): { nodes, edges, adjacency, restrictions }
+//     Files written by graphToGeoJSON are restored as they were. Any other (Multi)LineString data
+//     is read as OSM-like ways (feature properties = tags such as highway, oneway, name, surface)
+//     and built with the profile rules of osm.js; lines sharing a coordinate share a node there.
+
+import { buildRoadGraph } from './osm.js';
+
+const EDGE_PROPS = ['weight', 'duration', 'way', 'name', 'ref', 'highway', 'surface', 'unpaved'];
+
+export function graphToGeoJSON(graph) {
+  const coords = new Map(graph.nodes.map(n => [n.id, [n.lng, n.lat]]));
+  const features = [];
+  for (const e of graph.edges) {
+    const a = coords.get(e.from);
+    const b = coords.get(e.to);
+    if (!a || !b) continue;
+    const properties = { from: e.from, to: e.to };
+    for (const key of EDGE_PROPS) {
+      if (e[key] !== undefined) properties[key] = e[key];
+    }
+    const coordinates = e.geometry ? e.geometry.map(p => [p.lng, p.lat]) : [a, b];
+    features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties });
+  }
+  return { type: 'FeatureCollection', features, restrictions: graph.restrictions || {} };
+}
+
+function lineStrings(feature) {
+  const g = feature && feature.geometry;
+  if (!g) return [];
+  if (g.type === 'LineString') return [g.coordinates];
+  if (g.type === 'MultiLineString') return g.coordinates;
+  return [];
+}
+
+// Exported graph: every line is one edge with its endpoints' ids
+function isGraphExport(features) {
+  return features.length > 0 && features.every(f => f.properties && f.properties.from != null
+    && f.properties.to != null && lineStrings(f).length === 1);
+}
+
+function restoreGraph(geojson) {
+  const nodeMap = new Map();
+  const edges = [];
+  for (const f of geojson.features) {
+    const line = lineStrings(f)[0];
+    const [a, b] = [line[0], line[line.length - 1]];
+    const { from, to } = f.properties;
+    if (!nodeMap.has(from)) nodeMap.set(from, { id: from, lat: a[1], lng: a[0] });
+    if (!nodeMap.has(to)) nodeMap.set(to, { id: to, lat: b[1], lng: b[0] });
+    const edge = { from, to };
+    for (const key of EDGE_PROPS) {
+      if (f.properties[key] !== undefined) edge[key] = f.properties[key];
+    }
+    if (!Number.isFinite(edge.weight)) continue;
+    if (line.length > 2) edge.geometry = line.map(([lng, lat]) => ({ lat, lng }));
+    edges.push(edge);
+  }
+
+  const nodes = [...nodeMap.values()];
+  const adjacency = Object.create(null);
+  for (const n of nodes) adjacency[n.id] = [];
+  for (const e of edges) adjacency[e.from].push(e);
+
+  const restrictions = Object.create(null);
+  for (const [via, list] of Object.entries(geojson.restrictions || {})) {
+    if (adjacency[via] && Array.isArray(list)) restrictions[via] = list;
+  }
+  return { nodes, edges, adjacency, restrictions };
+}
+
+// Generic lines -> Overpass-style elements, so osm.js applies the usual profile rules
+function linesToElements(features) {
+  const elements = [];
+  const nodeIds = new Map(); // "lng,lat" -> numeric id
+  let wayId = 0;
+  for (const f of features) {
+    const tags = {};
+    for (const [key, value] of Object.entries(f.properties || {})) {
+      if (value !== null && typeof value !== 'object') tags[key] = String(value);
+    }
+    if (!tags.highway) tags.highway = 'unclassified';
+    for (const line of lineStrings(f)) {
+      const refs = [];
+      for (const [lng, lat] of line) {
+        const key = `${lng},${lat}`;
+        if (!nodeIds.has(key)) {
+          nodeIds.set(key, nodeIds.size + 1);
+          elements.push({ type: 'node', id: nodeIds.size, lat, lon: lng });
+        }
+        const id = nodeIds.get(key);
+        if (refs[refs.length - 1] !== id) refs.push(id);
+      }
+      if (refs.length >= 2) elements.push({ type: 'way', id: ++wayId, nodes: refs, tags });
+    }
+  }
+  return elements;
+}
+
+export function graphFromGeoJSON(geojson, options = {}) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection.');
+  }
+  if (isGraphExport(geojson.features)) return restoreGraph(geojson);
+  const graph = buildRoadGraph({ elements: linesToElements(geojson.features) }, options);
+  if (!graph.edges.length) throw new Error('No usable road lines found in the GeoJSON file.');
+  return graph;
+}
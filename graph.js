@@ -1,9 +1,54 @@
-// graph.js - builds a small grid-graph of lat/lng nodes
+// graph.js - builds small synthetic graphs of lat/lng nodes: grids, mazes and random graphs
 // Contract:
 // - buildGridGraph(center, rows, cols, delta): returns { nodes, edges, adjacency }
 //   nodes: Array<{ id: string, lat: number, lng: number }>
-//   edges: Array<{ from: string, to: string, weight: number }>
-//   adjacency: Record<string, Array<{ to: string, weight: number }>>
+//   edges: Array<{ from: string, to: string, weight: number, surface, unpaved }>
+//   adjacency: Record<string, Array<edge>> (the same edge objects, grouped by `from`)
+// - GENERATORS: Record<kind, { label, size }>   the synthetic graphs on offer; size: default rows / columns
+//   (nodes for 'geometric')
+// - generateGraph(kind, center, { seed, size }): the same contract as buildGridGraph; every road is two-way.
+//   The same kind, center, size and seed always give the same graph.
+// - seededRandom(seed): () => number in [0, 1)   a small deterministic generator (mulberry32)
+// Weights are never below the straight-line distance, so A*'s haversine heuristic stays admissible.
+
+import { haversine } from './geo.js';
+
+const EXTENT_DEG = 0.0108; // ~1.2 km across, the size of the original 7 x 7 grid
+
+export const GENERATORS = {
+  grid: { label: 'Grid', size: 7 },
+  grid8: { label: 'Grid with diagonals', size: 9 },
+  obstacles: { label: 'Grid with obstacles', size: 13 },
+  walls: { label: 'Grid with walls', size: 13 },
+  weighted: { label: 'Random weights and unpaved patches', size: 11 },
+  maze: { label: 'Maze', size: 13 },
+  geometric: { label: 'Random geometric graph', size: 90 },
+};
+
+export function seededRandom(seed) {
+  let s = (Number(seed) >>> 0) || 1;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function finish(nodes, edges) {
+  const adjacency = Object.create(null);
+  for (const n of nodes) adjacency[n.id] = [];
+  for (const e of edges) adjacency[e.from].push(e);
+  return { nodes, edges, adjacency };
+}
+
+// Both directions of a road, with the same weight and surface
+function link(edges, a, b, { factor = 1, surface = 'paved', unpaved = false } = {}) {
+  const weight = haversine(a, b) * factor;
+  edges.push({ from: a.id, to: b.id, weight, surface, unpaved });
+  edges.push({ from: b.id, to: a.id, weight, surface, unpaved });
+}
 
 export function buildGridGraph(center, rows = 5, cols = 5, delta = 0.002) {
   // Create nodes in a grid around center
@@ -20,20 +65,6 @@ export function buildGridGraph(center, rows = 5, cols = 5, delta = 0.002) {
   // Helper to index into nodes
   function idx(r, c) { return r * cols + c; }
 
-  // Haversine distance in meters
-  function haversine(a, b) {
-    const R = 6371000; // Earth radius meters
-    const toRad = deg => deg * Math.PI / 180;
-    const dLat = toRad(b.lat - a.lat);
-    const dLng = toRad(b.lng - a.lng);
-    const lat1 = toRad(a.lat);
-    const lat2 = toRad(b.lat);
-    const sinDLat = Math.sin(dLat / 2);
-    const sinDLng = Math.sin(dLng / 2);
-    const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
-    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
-  }
-
   // Connect 4-neighbors with weights
   const edges = [];
   for (let r = 0; r < rows; r++) {
@@ -53,10 +84,157 @@ export function buildGridGraph(center, rows = 5, cols = 5, delta = 0.002) {
     }
   }
 
-  // Build adjacency list
-  const adjacency = Object.create(null);
-  for (const n of nodes) adjacency[n.id] = [];
-  for (const e of edges) adjacency[e.from].push({ to: e.to, weight: e.weight, unpaved: e.unpaved, surface: e.surface });
+  return finish(nodes, edges);
+}
 
-  return { nodes, edges, adjacency };
+// A size x size lattice of cells around center; blocked cells get no node
+function lattice(center, size, blocked = new Set()) {
+  const delta = EXTENT_DEG / (size - 1);
+  const cells = new Map(); // r * size + c -> node
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const i = r * size + c;
+      if (blocked.has(i)) continue;
+      cells.set(i, {
+        id: String(i),
+        lat: center.lat + (r - (size - 1) / 2) * delta,
+        lng: center.lng + (c - (size - 1) / 2) * delta,
+      });
+    }
+  }
+  return cells;
+}
+
+// Link every pair of lattice neighbours that both exist (steps: [dr, dc] pairs looking forward)
+function latticeEdges(cells, size, steps, attrs = () => ({})) {
+  const edges = [];
+  for (const [i, a] of cells) {
+    const r = Math.floor(i / size);
+    const c = i % size;
+    for (const [dr, dc] of steps) {
+      const r2 = r + dr;
+      const c2 = c + dc;
+      if (r2 < 0 || r2 >= size || c2 < 0 || c2 >= size) continue;
+      const b = cells.get(r2 * size + c2);
+      if (b) link(edges, a, b, attrs(a, b));
+    }
+  }
+  return edges;
+}
+
+const STEPS_4 = [[0, 1], [1, 0]];
+const STEPS_8 = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+function obstacleCells(size, random) {
+  const blocked = new Set();
+  for (let i = 0; i < size * size; i++) if (random() < 0.25) blocked.add(i);
+  return blocked;
+}
+
+// Straight walls across the lattice, alternating direction, each with a gap or two to get through
+function wallCells(size, random) {
+  const blocked = new Set();
+  for (let k = 0; k < Math.max(2, Math.floor(size / 4)); k++) {
+    const line = 2 + Math.floor(random() * (size - 4));
+    const gaps = new Set([Math.floor(random() * size), Math.floor(random() * size)]);
+    for (let j = 0; j < size; j++) {
+      if (gaps.has(j)) continue;
+      blocked.add(k % 2 === 0 ? line * size + j : j * size + line);
+    }
+  }
+  return blocked;
+}
+
+function weightedEdges(cells, size, random) {
+  const patches = [];
+  for (let k = 0; k < 3; k++) {
+    patches.push({ r: random() * size, c: random() * size, radius: 1.5 + random() * size / 5, surface: ['gravel', 'dirt', 'ground'][k] });
+  }
+  const patchOf = (node) => {
+    const i = Number(node.id);
+    const [r, c] = [Math.floor(i / size), i % size];
+    return patches.find(p => Math.hypot(r - p.r, c - p.c) <= p.radius);
+  };
+  return latticeEdges(cells, size, STEPS_4, (a, b) => {
+    const patch = patchOf(a) && patchOf(b) ? patchOf(a) : null;
+    return { factor: 1 + 2 * random(), surface: patch ? patch.surface : 'paved', unpaved: Boolean(patch) };
+  });
+}
+
+// A perfect maze (exactly one way between any two cells), carved by a randomized depth-first search
+function mazeEdges(cells, size, random) {
+  const edges = [];
+  const visited = new Set([0]);
+  const stack = [0];
+  while (stack.length) {
+    const i = stack[stack.length - 1];
+    const r = Math.floor(i / size);
+    const c = i % size;
+    const next = [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]
+      .filter(([r2, c2]) => r2 >= 0 && r2 < size && c2 >= 0 && c2 < size && !visited.has(r2 * size + c2));
+    if (!next.length) {
+      stack.pop();
+      continue;
+    }
+    const [r2, c2] = next[Math.floor(random() * next.length)];
+    const j = r2 * size + c2;
+    visited.add(j);
+    link(edges, cells.get(i), cells.get(j));
+    stack.push(j);
+  }
+  return edges;
+}
+
+// Random points, linked to every point within a radius that makes the graph mostly connected,
+// and always to their nearest neighbour so no point is left alone
+function geometricGraph(center, count, random) {
+  const nodes = [];
+  for (let i = 0; i < count; i++) {
+    nodes.push({ id: String(i), lat: center.lat + (random() - 0.5) * EXTENT_DEG, lng: center.lng + (random() - 0.5) * EXTENT_DEG });
+  }
+  const radius = EXTENT_DEG * 1.3 * Math.sqrt(Math.log(count) / (Math.PI * count));
+  const deg = (a, b) => Math.hypot(a.lat - b.lat, a.lng - b.lng);
+  const linked = new Set();
+  const edges = [];
+  const connect = (i, j) => {
+    const key = i < j ? `${i}|${j}` : `${j}|${i}`;
+    if (linked.has(key)) return;
+    linked.add(key);
+    link(edges, nodes[i], nodes[j]);
+  };
+  for (let i = 0; i < count; i++) {
+    let nearest = -1;
+    for (let j = 0; j < count; j++) {
+      if (j === i) continue;
+      const d = deg(nodes[i], nodes[j]);
+      if (d <= radius && j > i) connect(i, j);
+      if (nearest < 0 || d < deg(nodes[i], nodes[nearest])) nearest = j;
+    }
+    if (nearest >= 0) connect(i, nearest);
+  }
+  return finish(nodes, edges);
+}
+
+export function generateGraph(kind, center, { seed = 1, size = (GENERATORS[kind] || GENERATORS.grid).size } = {}) {
+  const random = seededRandom(seed);
+  const n = Math.max(2, Math.floor(size));
+  if (kind === 'geometric') return geometricGraph(center, n, random);
+  let cells;
+  let edges;
+  if (kind === 'grid8') {
+    cells = lattice(center, n);
+    edges = latticeEdges(cells, n, STEPS_8);
+  } else if (kind === 'obstacles' || kind === 'walls') {
+    cells = lattice(center, n, kind === 'walls' ? wallCells(n, random) : obstacleCells(n, random));
+    edges = latticeEdges(cells, n, STEPS_4);
+  } else if (kind === 'weighted') {
+    cells = lattice(center, n);
+    edges = weightedEdges(cells, n, random);
+  } else if (kind === 'maze') {
+    cells = lattice(center, n);
+    edges = mazeEdges(cells, n, random);
+  } else {
+    return buildGridGraph(center, n, n, EXTENT_DEG / (n - 1));
+  }
+  return finish([...cells.values()], edges);
 }
@@ -0,0 +1,84 @@
+// graphcache.js - offline cache of Overpass road data in IndexedDB
+// Contract:
+//   getCachedArea(bbox, filterKey): Promise<data | null>
+//     data of a cached area fetched with the same filter whose bbox contains `bbox`; an area that
+//     only overlaps `bbox` is not used (its data would leave the rest of `bbox` empty)
+//   putCachedArea(bbox, filterKey, data): Promise<void>
+//   clearRoadCache(): Promise<void>
+//   bbox: { south, west, north, east } in degrees; data: raw Overpass JSON ({ elements })
+// Every function resolves quietly (null / no-op) when IndexedDB is unavailable, so callers can
+// always fall back to the network.
+// Overlapping views share data through tiles.js: it asks for aligned tiles, so the tiles two views
+// have in common are cache hits and only the others are fetched.
+
+const DB_NAME = 'dijnav-roads';
+const STORE = 'areas';
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('filterKey', 'filterKey');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { console.warn('Road cache unavailable', req.error); resolve(null); };
+    });
+  }
+  return dbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function done(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function contains(outer, inner) {
+  return outer.south <= inner.south && outer.west <= inner.west
+    && outer.north >= inner.north && outer.east >= inner.east;
+}
+
+export function bboxKey(bbox, filterKey) {
+  const r = (x) => x.toFixed(5);
+  return `${filterKey}|${r(bbox.south)},${r(bbox.west)},${r(bbox.north)},${r(bbox.east)}`;
+}
+
+export async function getCachedArea(bbox, filterKey) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    const exact = await done(store.get(bboxKey(bbox, filterKey)));
+    if (exact) return exact.data;
+    // Any cached area with the same filter that covers the requested one will do
+    const candidates = await done(store.index('filterKey').getAll(filterKey));
+    const hit = candidates.find(rec => contains(rec.bbox, bbox));
+    return hit ? hit.data : null;
+  } catch (err) {
+    console.warn('Road cache read failed', err);
+    return null;
+  }
+}
+
+export async function putCachedArea(bbox, filterKey, data) {
+  const db = await openDb();
+  if (!db) return;
+  try {
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    await done(store.put({ key: bboxKey(bbox, filterKey), filterKey, bbox, data, savedAt: Date.now() }));
+  } catch (err) {
+    console.warn('Road cache write failed', err);
+  }
+}
+
+export async function clearRoadCache() {
+  const db = await openDb();
+  if (!db) return;
+  await done(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+}
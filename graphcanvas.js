@@ -0,0 +1,202 @@
+// graphcanvas.js - draws a whole road graph onto one canvas, fast enough for OSM areas with many thousand edges
+// Contract:
+//   prepareEdges(edges, getNode, colorOf): Array<{ edge, color, lats, lngs, south, west, north, east }>
+//     the points of every edge once, with its bounding box; both directions of a two-way road are
+//     kept once, edges with a missing node are left out
+//   visibleBatches(prepared, view, project, { tolerance }): Map<color, Array<number[]>>
+//     the edges whose box meets view ({ south, west, north, east }), projected to flat [x, y, x, y, ...]
+//     pixel lists by project(lat, lng) -> { x, y }, without the inner points that lie within tolerance
+//     pixels of the previous one, grouped by colour so each colour is one canvas path
+//   createGraphLayer({ hitTest, describe }): L.Layer   (the only part that needs Leaflet)
+//     layer.setGraph(edges, nodes, { getNode, colorOf })   replaces what is drawn
+//     hitTest(latlng, meters): edge | null, describe(edge): string | HTMLElement   edge hover tooltip
+// The canvas is redrawn after every move or zoom, for the visible part only; node dots are drawn from
+// NODE_MIN_ZOOM on, where they no longer merge into the lines.
+
+import { edgePoints } from './geo.js';
+
+const SIMPLIFY_PX = 1.5;
+const NODE_MIN_ZOOM = 16;
+const HOVER_PX = 6;
+
+export function prepareEdges(edges, getNode, colorOf) {
+  const prepared = [];
+  const seen = new Set();
+  for (const edge of edges) {
+    const points = edgePoints(edge, getNode);
+    if (points.some(p => !p)) continue;
+    const color = colorOf(edge);
+    // The reverse twin of a two-way road covers the same pixels
+    const ends = edge.from < edge.to ? `${edge.from}|${edge.to}` : `${edge.to}|${edge.from}`;
+    const key = `${ends}|${edge.way}|${points.length}|${color}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const lats = Float64Array.from(points, p => p.lat);
+    const lngs = Float64Array.from(points, p => p.lng);
+    prepared.push({
+      edge, color, lats, lngs,
+      south: Math.min(...lats), west: Math.min(...lngs), north: Math.max(...lats), east: Math.max(...lngs),
+    });
+  }
+  return prepared;
+}
+
+export function visibleBatches(prepared, view, project, { tolerance = SIMPLIFY_PX } = {}) {
+  const batches = new Map();
+  const tol2 = tolerance * tolerance;
+  for (const p of prepared) {
+    if (p.south > view.north || p.north < view.south || p.west > view.east || p.east < view.west) continue;
+    const last = p.lats.length - 1;
+    const xy = [];
+    let px = 0, py = 0;
+    for (let i = 0; i <= last; i++) {
+      const { x, y } = project(p.lats[i], p.lngs[i]);
+      if (i > 0 && i < last && (x - px) ** 2 + (y - py) ** 2 < tol2) continue;
+      xy.push(x, y);
+      px = x;
+      py = y;
+    }
+    if (!batches.has(p.color)) batches.set(p.color, []);
+    batches.get(p.color).push(xy);
+  }
+  return batches;
+}
+
+export function createGraphLayer({ hitTest = null, describe = null } = {}) {
+  const layer = new L.Layer();
+  const highlight = L.polyline([], { color: '#0f172a', weight: 5, opacity: 0.8, interactive: false });
+  const tooltip = L.tooltip({ direction: 'top', offset: [0, -8], className: 'edge-tooltip' });
+  let map = null;
+  let prepared = [];
+  let nodes = [];
+  let getNode = null;
+  let canvas = null;
+  let frame = null;
+  let hovered = null;
+  let hoverFrame = null; // hit tests run once per animation frame, for the latest mouse position
+  let lastMove = null;
+
+  function draw() {
+    frame = null;
+    const ctx = map && canvas.getContext('2d');
+    if (!ctx) return;
+    const size = map.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = size.x * ratio;
+    canvas.height = size.y * ratio;
+    canvas.style.width = `${size.x}px`;
+    canvas.style.height = `${size.y}px`;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const b = map.getBounds();
+    const view = { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() };
+    const project = (lat, lng) => map.latLngToContainerPoint([lat, lng]);
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.globalAlpha = 0.7;
+    for (const [color, lines] of visibleBatches(prepared, view, project)) {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      for (const xy of lines) {
+        ctx.moveTo(xy[0], xy[1]);
+        for (let i = 2; i < xy.length; i += 2) ctx.lineTo(xy[i], xy[i + 1]);
+      }
+      ctx.stroke();
+    }
+
+    if (map.getZoom() < NODE_MIN_ZOOM) return;
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.fillStyle = 'rgba(203, 213, 225, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const n of nodes) {
+      if (!b.contains([n.lat, n.lng])) continue;
+      const { x, y } = project(n.lat, n.lng);
+      ctx.moveTo(x + 2.5, y);
+      ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+    }
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  function redraw() {
+    if (map && !frame) frame = L.Util.requestAnimFrame(draw);
+  }
+
+  function setHovered(edge, latlng) {
+    if (edge !== hovered) {
+      hovered = edge;
+      if (edge) highlight.setLatLngs(edgePoints(edge, getNode).map(p => [p.lat, p.lng])).addTo(map);
+      else highlight.remove();
+    }
+    if (edge && describe) {
+      tooltip.setLatLng(latlng).setContent(describe(edge));
+      map.openTooltip(tooltip);
+    } else {
+      map.closeTooltip(tooltip);
+    }
+  }
+
+  function hoverTest() {
+    hoverFrame = null;
+    if (!map) return;
+    const e = lastMove;
+    const meters = map.distance(e.latlng, map.containerPointToLatLng(e.containerPoint.add([HOVER_PX, 0])));
+    setHovered(hitTest(e.latlng, meters), e.latlng);
+  }
+
+  function onMouseMove(e) {
+    if (!hitTest) return;
+    lastMove = e;
+    if (!hoverFrame) hoverFrame = L.Util.requestAnimFrame(hoverTest);
+  }
+
+  function cancelHover() {
+    if (hoverFrame) L.Util.cancelAnimFrame(hoverFrame);
+    hoverFrame = null;
+  }
+
+  function onMouseOut() {
+    cancelHover();
+    setHovered(null);
+  }
+
+  layer.onAdd = (added) => {
+    map = added;
+    const pane = map.getPane('graphPane') || map.createPane('graphPane');
+    pane.style.zIndex = 350; // under routes and markers (overlayPane is 400)
+    pane.style.pointerEvents = 'none';
+    canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide graph-canvas', pane);
+    map.on('moveend zoomend resize viewreset', redraw);
+    map.on('mousemove', onMouseMove);
+    map.on('mouseout', onMouseOut);
+    redraw();
+  };
+
+  layer.onRemove = () => {
+    cancelHover();
+    setHovered(null);
+    map.off('moveend zoomend resize viewreset', redraw);
+    map.off('mousemove', onMouseMove);
+    map.off('mouseout', onMouseOut);
+    if (frame) L.Util.cancelAnimFrame(frame);
+    frame = null;
+    L.DomUtil.remove(canvas);
+    canvas = null;
+    map = null;
+  };
+
+  layer.setGraph = (edges, graphNodes, options) => {
+    getNode = options.getNode;
+    prepared = prepareEdges(edges, getNode, options.colorOf);
+    nodes = graphNodes;
+    if (map) setHovered(null);
+    redraw();
+    return layer;
+  };
+
+  return layer;
+}
@@ -0,0 +1,147 @@
+// isochrone.js - what can be reached from one point within a set of costs
+// Contract:
+//   isochrones(adjacency, source, thresholds, opts): { dist, segments, polygons, visitedCount }
+//     thresholds: costs in the routing metric (meters, or seconds with opts.metric = 'time')
+//     opts: routing options as in routing.js (unpaved penalty, restrictions, ...) plus
+//       getNode(id) and bufferMeters (how far polygons reach around reachable roads, default 40)
+//     dist: Map<nodeId, cost> of every node reachable within the largest threshold
+//     segments: Array<{ points: Array<{ lat, lng }>, band }> the reachable roads, edges cut where
+//       a threshold is crossed; band = index of the first threshold that covers the piece
+//     polygons: Array<Array<ring>>, one entry per threshold; rings of [lat, lng] enclose the
+//       buffered roads reachable within that threshold. Draw with fill-rule evenodd (holes).
+// A single one-to-all search (shortestPathTree with maxCost) answers every threshold at once.
+
+import { shortestPathTree, pathCost } from './routing.js';
+import { edgePoints, sliceLine } from './geo.js';
+
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LNG = 111320;
+const MAX_CELLS = 400000; // raster size cap for the polygon outlines
+
+export function isochrones(adjacency, source, thresholds, opts = {}) {
+  const { getNode, bufferMeters = 40 } = opts;
+  const limits = [...new Set(thresholds)].filter(t => t > 0).sort((a, b) => a - b);
+  const maxCost = limits[limits.length - 1] || 0;
+  const { dist, visitedCount } = shortestPathTree(adjacency, source, { ...opts, maxCost });
+
+  // Cut every edge leaving a reachable node at the thresholds it crosses
+  const segments = [];
+  for (const [u, du] of dist) {
+    for (const edge of adjacency[u] || []) {
+      const points = edgePoints(edge, getNode);
+      const cost = pathCost([edge], opts);
+      if (points.some(p => !p) || !(cost > 0)) continue;
+      let f0 = 0;
+      for (let band = 0; band < limits.length && f0 < 1; band++) {
+        if (du + f0 * cost > limits[band]) continue;
+        const f1 = Math.min(1, (limits[band] - du) / cost);
+        if (f1 > f0) segments.push({ points: sliceLine(points, f0, f1), band });
+        f0 = f1;
+      }
+    }
+  }
+
+  const polygons = limits.map((_, k) => outline(segments.filter(s => s.band <= k), bufferMeters));
+  return { dist, segments, polygons, visitedCount };
+}
+
+// Rasterize the segments onto a grid, grow them by the buffer, and trace the cell boundaries
+function outline(segments, bufferMeters) {
+  if (!segments.length) return [];
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const { points } of segments) {
+    for (const p of points) {
+      south = Math.min(south, p.lat); north = Math.max(north, p.lat);
+      west = Math.min(west, p.lng); east = Math.max(east, p.lng);
+    }
+  }
+  const kx = M_PER_DEG_LNG * Math.cos((south + north) / 2 * Math.PI / 180);
+  const widthM = (east - west) * kx;
+  const heightM = (north - south) * M_PER_DEG_LAT;
+  let cell = bufferMeters / 2;
+  while ((widthM / cell + 8) * (heightM / cell + 8) > MAX_CELLS) cell *= 1.5;
+  const reach = Math.max(1, Math.round(bufferMeters / cell));
+  const pad = reach + 1;
+  const W = Math.ceil(widthM / cell) + 2 * pad + 1;
+  const H = Math.ceil(heightM / cell) + 2 * pad + 1;
+  const toX = lng => Math.floor((lng - west) * kx / cell) + pad;
+  const toY = lat => Math.floor((lat - south) * M_PER_DEG_LAT / cell) + pad;
+
+  const road = new Uint8Array(W * H);
+  for (const { points } of segments) {
+    for (let j = 1; j < points.length; j++) {
+      const a = points[j - 1];
+      const b = points[j];
+      const lengthM = Math.hypot((b.lng - a.lng) * kx, (b.lat - a.lat) * M_PER_DEG_LAT);
+      const steps = Math.max(1, Math.ceil(2 * lengthM / cell));
+      for (let i = 0; i <= steps; i++) {
+        const f = i / steps;
+        road[toY(a.lat + f * (b.lat - a.lat)) * W + toX(a.lng + f * (b.lng - a.lng))] = 1;
+      }
+    }
+  }
+
+  // Grow by a disc of `reach` cells
+  const filled = new Uint8Array(W * H);
+  const disc = [];
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      if (dx * dx + dy * dy <= reach * reach + reach) disc.push([dx, dy]);
+    }
+  }
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!road[y * W + x]) continue;
+      for (const [dx, dy] of disc) filled[(y + dy) * W + x + dx] = 1;
+    }
+  }
+
+  // Directed boundary edges, counter-clockwise around every filled cell, between corner vertices
+  const V = W + 1;
+  const next = new Map(); // vertex -> Array<vertex>
+  const link = (x0, y0, x1, y1) => {
+    const from = y0 * V + x0;
+    if (!next.has(from)) next.set(from, []);
+    next.get(from).push(y1 * V + x1);
+  };
+  const isFilled = (x, y) => x >= 0 && y >= 0 && x < W && y < H && filled[y * W + x] === 1;
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!filled[y * W + x]) continue;
+      if (!isFilled(x, y - 1)) link(x, y, x + 1, y);
+      if (!isFilled(x + 1, y)) link(x + 1, y, x + 1, y + 1);
+      if (!isFilled(x, y + 1)) link(x + 1, y + 1, x, y + 1);
+      if (!isFilled(x - 1, y)) link(x, y + 1, x, y);
+    }
+  }
+
+  const toLatLng = v => [
+    south + (Math.floor(v / V) - pad) * cell / M_PER_DEG_LAT,
+    west + ((v % V) - pad) * cell / kx,
+  ];
+  const rings = [];
+  for (const start of next.keys()) {
+    while (next.get(start).length) {
+      const ring = [];
+      let v = start;
+      do {
+        ring.push(v);
+        v = next.get(v).pop();
+      } while (v !== start);
+      rings.push(dropCollinear(ring, V).map(toLatLng));
+    }
+  }
+  return rings;
+}
+
+// Keep only the corners of an axis-aligned ring
+function dropCollinear(ring, V) {
+  const n = ring.length;
+  return ring.filter((v, i) => {
+    const p = ring[(i + n - 1) % n];
+    const q = ring[(i + 1) % n];
+    const sameRow = Math.floor(p / V) === Math.floor(v / V) && Math.floor(v / V) === Math.floor(q / V);
+    const sameCol = p % V === v % V && v % V === q % V;
+    return !sameRow && !sameCol;
+  });
+}
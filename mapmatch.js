@@ -0,0 +1,115 @@
+// mapmatch.js - snap a recorded GPS track onto the road graph (HMM map matching)
+// Contract:
+//   matchTrack(adjacency, index, points, opts): { segments, length, matched, skipped, start, end }
+//     index: spatial index of the graph (spatial.js); points: Array<{ lat, lng }> in recording order
+//     segments: Array<Array<{ lat, lng }>> matched polylines; a new one starts wherever the track
+//       cannot be connected through the graph (gaps, roads missing from the graph)
+//     length: meters travelled along the matched roads; matched / skipped: number of points used
+//       or dropped (no road within opts.radius); start / end: first and last snap (as nearestEdge)
+//   opts: getNode(id), radius (m, default 40), sigma (GPS noise in m, default 10),
+//     beta (m, default 25), maxCandidates (default 6), minSpacing (m, default 10)
+// Viterbi over the candidate road positions of every point: a candidate scores better the closer
+// it is to the GPS fix, and a transition the closer its road distance is to the straight line.
+
+import { haversine, edgePoints, sliceLine } from './geo.js';
+import { edgesNear } from './spatial.js';
+import { shortestPathTree } from './routing.js';
+
+// Drop fixes that barely moved; they add noise and cost without adding information
+function thin(points, minSpacing) {
+  const kept = [];
+  for (const p of points) {
+    if (!kept.length || haversine(kept[kept.length - 1], p) >= minSpacing) kept.push(p);
+  }
+  const last = points[points.length - 1];
+  if (last && kept[kept.length - 1] !== last) kept.push(last);
+  return kept;
+}
+
+function treePath(parent, source, target) {
+  const edges = [];
+  for (let node = target; node !== source; node = edges[0].from) edges.unshift(parent.get(node));
+  return edges;
+}
+
+// Road distance from candidate a to candidate b (and the whole edges in between), or null
+function connect(adjacency, trees, a, b, maxCost) {
+  if (a.edge === b.edge && b.t >= a.t) return { distance: (b.t - a.t) * a.edge.weight, edges: null };
+  const source = a.edge.to;
+  if (!trees.has(source)) trees.set(source, shortestPathTree(adjacency, source, { maxCost }));
+  const tree = trees.get(source);
+  if (!tree.dist.has(b.from)) return null;
+  return {
+    distance: (1 - a.t) * a.edge.weight + tree.dist.get(b.from) + b.t * b.edge.weight,
+    edges: treePath(tree.parent, source, b.from),
+  };
+}
+
+export function matchTrack(adjacency, index, points, opts = {}) {
+  const { getNode, radius = 40, sigma = 10, beta = 25, maxCandidates = 6, minSpacing = 10 } = opts;
+  const result = { segments: [], length: 0, matched: 0, skipped: 0, start: null, end: null };
+
+  // Backtrack the best chain of states and turn it into a polyline
+  function finish(layers) {
+    if (!layers.length) return;
+    let state = layers[layers.length - 1].reduce((a, b) => (b.score > a.score ? b : a));
+    const states = [];
+    for (; state; state = state.back) states.unshift(state);
+    result.matched += states.length;
+    if (states.length < 2) return;
+    const shape = (cand, f0, f1) => sliceLine(edgePoints(cand.edge, getNode), f0, f1).slice(1);
+    const line = [states[0].cand.point];
+    for (let i = 1; i < states.length; i++) {
+      const a = states[i - 1].cand;
+      const { cand: b, link } = states[i];
+      if (!link.edges) {
+        line.push(...shape(a, a.t, b.t));
+      } else {
+        line.push(...shape(a, a.t, 1));
+        for (const e of link.edges) line.push(...edgePoints(e, getNode).slice(1));
+        line.push(...shape(b, 0, b.t));
+      }
+      result.length += link.distance;
+    }
+    result.segments.push(line);
+    result.start ||= states[0].cand;
+    result.end = states[states.length - 1].cand;
+  }
+
+  let layers = [];
+  let prevPoint = null;
+  for (const p of thin(points, minSpacing)) {
+    const cands = edgesNear(index, p, radius).slice(0, maxCandidates);
+    if (!cands.length) {
+      result.skipped++;
+      continue;
+    }
+    const emission = c => -0.5 * (c.distance / sigma) ** 2;
+    let layer = null;
+    if (layers.length) {
+      const straight = haversine(prevPoint, p);
+      const maxCost = straight * 3 + 4 * radius;
+      const trees = new Map(); // one bounded search per source node and step
+      layer = cands.map((cand) => {
+        let best = null;
+        for (const s of layers[layers.length - 1]) {
+          const link = connect(adjacency, trees, s.cand, cand, maxCost);
+          if (!link) continue;
+          const score = s.score + emission(cand) - Math.abs(link.distance - straight) / beta;
+          if (!best || score > best.score) best = { cand, score, back: s, link };
+        }
+        return best;
+      }).filter(Boolean);
+      if (!layer.length) {
+        // No candidate can be reached: close this chain and start over from here
+        finish(layers);
+        layers = [];
+        layer = null;
+      }
+    }
+    layers.push(layer || cands.map(cand => ({ cand, score: emission(cand), back: null, link: null })));
+    prevPoint = p;
+  }
+  finish(layers);
+  return result;
+}
@@ -0,0 +1,121 @@
+// matrix.js - many-to-many route costs between a set of origins and a set of destinations
+// Contract:
+//   distanceMatrix(adjacency, origins, destinations, opts): { costs, lengths, visitedCount }
+//     origins / destinations: node ids; opts: routing options as in routing.js
+//     costs[i][j]: route cost from origins[i] to destinations[j] (meters, or seconds in time mode,
+//       times any cost factors); lengths[i][j]: the meters that route travels; Infinity when unreachable
+//     visitedCount: states settled by all searches together
+//   nearestOrigins(costs): Array<{ origin, cost }>   for every destination (column) the index of the
+//     cheapest origin, -1 (cost Infinity) when none reaches it
+//   parseLocationsCSV(text): Array<{ name, lat, lng, role }>   rows of name, lat, lng and an optional
+//     role ('origin' / 'destination', '' when not given); a header row names the columns in any order,
+//     without one the columns are name, lat, lng, role (or just lat, lng)
+//   matrixToCSV(values, originNames, destinationNames, { digits }): string   one row per origin,
+//     empty cells where unreachable
+// One one-to-many search per origin (shortestPathTree, stopping once every destination is settled)
+// gives a whole row, so an N x M matrix costs N searches instead of N x M.
+
+import { shortestPathTree } from './routing.js';
+
+export function distanceMatrix(adjacency, origins, destinations, opts = {}) {
+  const targets = [...new Set(destinations)];
+  const costs = [];
+  const lengths = [];
+  let visitedCount = 0;
+  for (const origin of origins) {
+    const tree = shortestPathTree(adjacency, origin, { ...opts, targets });
+    visitedCount += tree.visitedCount;
+    costs.push(destinations.map(d => (tree.dist.has(d) ? tree.dist.get(d) : Infinity)));
+    lengths.push(destinations.map(d => tree.lengthTo(d)));
+  }
+  return { costs, lengths, visitedCount };
+}
+
+export function nearestOrigins(costs) {
+  const columns = costs.length ? costs[0].length : 0;
+  const nearest = [];
+  for (let j = 0; j < columns; j++) {
+    let best = { origin: -1, cost: Infinity };
+    costs.forEach((row, i) => {
+      if (row[j] < best.cost) best = { origin: i, cost: row[j] };
+    });
+    nearest.push(best);
+  }
+  return nearest;
+}
+
+// One CSV line into fields; quoted fields may hold commas and doubled quotes
+function csvFields(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',' || c === ';' || c === '\t') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+const HEADER_NAMES = {
+  name: ['name', 'label', 'id'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  role: ['role', 'type', 'kind'],
+};
+const ROLES = { origin: 'origin', origins: 'origin', depot: 'origin', o: 'origin', destination: 'destination', destinations: 'destination', customer: 'destination', d: 'destination' };
+
+export function parseLocationsCSV(text) {
+  const rows = String(text).split(/\r?\n/).map((line, i) => ({ line: i + 1, fields: csvFields(line) }))
+    .filter(r => r.fields.some(Boolean));
+  if (!rows.length) return [];
+  const first = rows[0].fields.map(f => f.toLowerCase());
+  let columns;
+  if (first.some(f => HEADER_NAMES.lat.includes(f))) {
+    rows.shift();
+    columns = {};
+    for (const [key, names] of Object.entries(HEADER_NAMES)) columns[key] = first.findIndex(f => names.includes(f));
+    if (columns.lat < 0 || columns.lng < 0) throw new Error('The CSV header needs lat and lng columns.');
+  } else {
+    columns = rows[0].fields.length === 2 ? { name: -1, lat: 0, lng: 1, role: -1 } : { name: 0, lat: 1, lng: 2, role: 3 };
+  }
+  return rows.map(({ line, fields }) => {
+    const lat = Number(fields[columns.lat]);
+    const lng = Number(fields[columns.lng]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`Line ${line}: no valid lat / lng.`);
+    }
+    const role = ROLES[String(fields[columns.role] || '').toLowerCase()] || '';
+    return { name: columns.name >= 0 ? fields[columns.name] || '' : '', lat, lng, role };
+  });
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function matrixToCSV(values, originNames, destinationNames, { digits = 1 } = {}) {
+  const lines = [['origin', ...destinationNames].map(csvField).join(',')];
+  values.forEach((row, i) => {
+    const cells = row.map(v => (Number.isFinite(v) ? v.toFixed(digits) : ''));
+    lines.push([csvField(originNames[i]), ...cells].join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
@@ -1,59 +1,74 @@
 // osm.js - Build a graph from OpenStreetMap roads using Overpass API
 // This is a minimal, client-side utility intended for small bounding boxes.
 // Contract:
-//   fetchRoadGraph(bounds: L.LatLngBounds): Promise<{ nodes, edges, adjacency }>
+//   fetchRoadData(bbox, options): Promise<{ data, source }>   raw Overpass JSON of the roads in bbox
+//     (tiles.js asks for one tile at a time). Reuses road data from the offline cache (graphcache.js)
+//     when a cached area covers bbox; source is 'cache' or 'network'. Pass options.cache = false to
+//     always query Overpass
+//   toBBox(bounds: L.LatLngBounds | bbox): { south, west, north, east }
+//   buildRoadGraph(data, options): { nodes, edges, adjacency, restrictions } from raw Overpass JSON ({ elements })
 //     nodes: Array<{ id: string, lat: number, lng: number }>
-//     edges: Array<{ from: string, to: string, weight: number }>
-//     adjacency: Record<string, Array<{ to: string, weight: number }>>
-
-// Haversine distance in meters
-function haversine(a, b) {
-  const R = 6371000;
-  const toRad = (d) => d * Math.PI / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLng = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const sinDLat = Math.sin(dLat / 2);
-  const sinDLng = Math.sin(dLng / 2);
-  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
-  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+//     edges: Array<{ from: string, to: string, weight: number, duration: number, way: string,
+//                    name?: string, ref?: string, highway: string, surface: string, unpaved: boolean }>
+//     adjacency: Record<string, Array<edge>> (the same edge objects, grouped by `from`)
+//     restrictions: Record<viaNodeId, Array<{ from: wayId, to: wayId, type: 'no' | 'only' }>>
+// Edges are directed: one-way streets only get an edge in their legal direction.
+// options.profile ('car' | 'bicycle' | 'foot', see profiles.js) decides which ways are usable;
+// every edge also gets `duration` (seconds) from maxspeed or the profile's per-class speed.
+
+import { PROFILES, wayTraversal, restrictionValue } from './profiles.js';
+import { getCachedArea, putCachedArea } from './graphcache.js';
+import { haversine } from './geo.js';
+
+// Plain { south, west, north, east } from Leaflet bounds (plain objects pass through)
+export function toBBox(bounds) {
+  if (typeof bounds.getSouth !== 'function') return bounds;
+  return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
 }
 
-// Limit bbox area (deg^2) to avoid huge queries
-function bboxAreaDeg2(b) {
-  const sw = b.getSouthWest();
-  const ne = b.getNorthEast();
-  return Math.max(0, (ne.lat - sw.lat)) * Math.max(0, (ne.lng - sw.lng));
+// Turn restriction relation -> { from, via, to, type } using graph ids, or null if unsupported
+// or not applicable to the profile. Only node "via" members are handled; restrictions via ways are skipped.
+function parseRestriction(rel, profile) {
+  const value = restrictionValue(rel.tags, profile) || '';
+  const type = value.startsWith('no_') ? 'no' : value.startsWith('only_') ? 'only' : null;
+  if (!type) return null;
+  const members = rel.members || [];
+  const from = members.find((m) => m.role === 'from' && m.type === 'way');
+  const to = members.find((m) => m.role === 'to' && m.type === 'way');
+  const via = members.filter((m) => m.role === 'via');
+  if (!from || !to || via.length !== 1 || via[0].type !== 'node') return null;
+  return { from: `w${from.ref}`, via: `n${via[0].ref}`, to: `w${to.ref}`, type };
 }
 
-export async function fetchRoadGraph(bounds, options = {}) {
+export async function fetchRoadData(bbox, options = {}) {
+  const profileId = PROFILES[options.profile] ? options.profile : 'car';
   const {
-    highwayFilter = [
-      'motorway','trunk','primary','secondary','tertiary',
-      'unclassified','residential','service','living_street'
-    ],
-    maxAreaDeg2 = 0.0025, // ~small neighborhood; adjust as needed
+    highwayFilter = Object.keys(PROFILES[profileId].speeds),
     endpoint = 'https://overpass-api.de/api/interpreter',
+    cache = true,
     signal,
   } = options;
 
-  // Guard against too-large bbox
-  if (bboxAreaDeg2(bounds) > maxAreaDeg2) {
-    throw new Error('Selected map area is too large for a client-side Overpass query. Please zoom in.');
-  }
+  const filterKey = `${profileId}:${highwayFilter.join(',')}`;
+  const cached = cache ? await getCachedArea(bbox, filterKey) : null;
+  if (cached) return { data: cached, source: 'cache' };
+  const data = await fetchOverpass(bbox, highwayFilter, { endpoint, signal });
+  if (cache) await putCachedArea(bbox, filterKey, data);
+  return { data, source: 'network' };
+}
 
-  const sw = bounds.getSouthWest();
-  const ne = bounds.getNorthEast();
-  const bbox = `${sw.lat},${sw.lng},${ne.lat},${ne.lng}`;
-  const highwayClause = highwayFilter.map((t) => `way["highway"="${t}"](${bbox});`).join('\n');
+// Roads (plus their nodes and turn restrictions) inside bbox, as raw Overpass JSON
+async function fetchOverpass(bbox, highwayFilter, { endpoint, signal }) {
+  const box = `${bbox.south},${bbox.west},${bbox.north},${bbox.east}`;
+  const highwayClause = highwayFilter.map((t) => `way["highway"="${t}"](${box});`).join('\n');
 
   const query = `[
     out:json][timeout:25];
     (
       ${highwayClause}
-    );
-    (._;>;);
+    )->.roads;
+    rel(bw.roads)["type"="restriction"]->.restrictions;
+    (.roads;.roads>;.restrictions;);
     out body;
   `;
 
@@ -64,17 +79,23 @@ export async function fetchRoadGraph(bounds, options = {}) {
     signal,
   });
   if (!resp.ok) throw new Error(`Overpass API error: ${resp.status}`);
-  const data = await resp.json();
+  return resp.json();
+}
+
+export function buildRoadGraph(data, options = {}) {
+  const profile = PROFILES[options.profile] || PROFILES.car;
 
   // Parse nodes and ways
   const nodeMap = new Map(); // id -> {lat, lng}
   const ways = [];
+  const relations = [];
   for (const el of data.elements || []) {
     if (el.type === 'node') {
       nodeMap.set(el.id, { lat: el.lat, lng: el.lon });
     } else if (el.type === 'way' && el.nodes && el.nodes.length >= 2) {
-      // Optionally respect one-way; for simplicity, we'll add bidirectional edges.
       ways.push(el);
+    } else if (el.type === 'relation') {
+      relations.push(el);
     }
   }
 
@@ -102,8 +123,14 @@ export async function fetchRoadGraph(bounds, options = {}) {
   const edges = [];
   for (const way of ways) {
     const wayNodes = way.nodes;
+    const traversal = wayTraversal(way.tags || {}, profile);
+    if (!traversal) continue;
+    const { direction, speed } = traversal;
+    const wayId = `w${way.id}`;
     const unpaved = isUnpaved(way.tags || {});
     const surface = (way.tags && way.tags.surface) ? String(way.tags.surface).toLowerCase() : (unpaved ? 'unpaved' : 'paved');
+    const { name, ref, highway } = way.tags || {};
+    const attrs = { unpaved, surface, way: wayId, name, ref, highway };
     for (let i = 0; i < wayNodes.length - 1; i++) {
       const aId = wayNodes[i];
       const bId = wayNodes[i + 1];
@@ -111,18 +138,27 @@ export async function fetchRoadGraph(bounds, options = {}) {
       const b = nodeMap.get(bId);
       if (!a || !b) continue;
       const weight = haversine(a, b);
+      const duration = weight / (speed / 3.6);
       const from = idToIndex.get(aId);
       const to = idToIndex.get(bId);
       if (!from || !to) continue;
-      edges.push({ from, to, weight, unpaved, surface });
-      edges.push({ from: to, to: from, weight, unpaved, surface }); // bidirectional
+      if (direction >= 0) edges.push({ from, to, weight, duration, ...attrs });
+      if (direction <= 0) edges.push({ from: to, to: from, weight, duration, ...attrs });
     }
   }
 
   // Build adjacency
   const adjacency = Object.create(null);
   for (const n of nodes) adjacency[n.id] = [];
-  for (const e of edges) adjacency[e.from].push({ to: e.to, weight: e.weight, unpaved: e.unpaved, surface: e.surface });
+  for (const e of edges) adjacency[e.from].push(e);
+
+  // Turn restrictions grouped by via node (only those whose via node we actually have)
+  const restrictions = Object.create(null);
+  for (const rel of relations) {
+    const r = parseRestriction(rel, profile);
+    if (!r || !adjacency[r.via]) continue;
+    (restrictions[r.via] ||= []).push({ from: r.from, to: r.to, type: r.type });
+  }
 
-  return { nodes, edges, adjacency };
+  return { nodes, edges, adjacency, restrictions };
 }
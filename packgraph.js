@@ -0,0 +1,93 @@
+// packgraph.js - graphs as flat typed arrays, so they can cross to and from a Web Worker cheaply
+// Contract:
+//   packGraph(graph): { packed, transfer }
+//     packed: { ids, coords, from, to, weight, duration, unpaved, attrs, strings, geomStart, geomCoords,
+//               restrictions, stats, pruned }
+//       ids: Array<string> node ids; coords: Float64Array [lat, lng, lat, lng, ...] in the same order
+//       from / to: Uint32Array node indices per edge (edges keep their order in graph.edges)
+//       weight / duration: Float64Array (duration NaN when the edge has none); unpaved: Uint8Array 0/1
+//       attrs: Int32Array, EDGE_ATTRS.length entries per edge indexing into strings (-1 = unset)
+//       geomStart: Uint32Array (edges + 1) offsets into geomCoords (pairs), empty range = no geometry
+//     transfer: the ArrayBuffers of packed, for postMessage(packed, transfer)
+//   unpackGraph(packed): { nodes, edges, adjacency, restrictions, stats, pruned }
+//     stats (simplify.js) and pruned (connectivity.js) only when the packed graph had them
+// Only what routing and drawing use survives the round trip: contracted edges lose `parts`.
+
+const EDGE_ATTRS = ['way', 'name', 'ref', 'highway', 'surface'];
+
+export function packGraph(graph) {
+  const { nodes, edges, restrictions = {}, stats = null, pruned = null } = graph;
+  const index = new Map(nodes.map((n, i) => [n.id, i]));
+  const coords = new Float64Array(nodes.length * 2);
+  nodes.forEach((n, i) => {
+    coords[2 * i] = n.lat;
+    coords[2 * i + 1] = n.lng;
+  });
+
+  const strings = [];
+  const stringIndex = new Map();
+  const intern = (s) => {
+    if (s === undefined || s === null) return -1;
+    if (!stringIndex.has(s)) {
+      stringIndex.set(s, strings.length);
+      strings.push(s);
+    }
+    return stringIndex.get(s);
+  };
+
+  const m = edges.length;
+  const from = new Uint32Array(m);
+  const to = new Uint32Array(m);
+  const weight = new Float64Array(m);
+  const duration = new Float64Array(m);
+  const unpaved = new Uint8Array(m);
+  const attrs = new Int32Array(m * EDGE_ATTRS.length);
+  const geomStart = new Uint32Array(m + 1);
+  const shape = [];
+  edges.forEach((e, i) => {
+    from[i] = index.get(e.from);
+    to[i] = index.get(e.to);
+    weight[i] = e.weight;
+    duration[i] = Number.isFinite(e.duration) ? e.duration : NaN;
+    unpaved[i] = e.unpaved ? 1 : 0;
+    EDGE_ATTRS.forEach((k, j) => { attrs[i * EDGE_ATTRS.length + j] = intern(e[k]); });
+    for (const p of e.geometry || []) shape.push(p.lat, p.lng);
+    geomStart[i + 1] = shape.length / 2;
+  });
+  const geomCoords = Float64Array.from(shape);
+
+  const packed = {
+    ids: nodes.map(n => n.id), coords, from, to, weight, duration, unpaved, attrs, strings,
+    geomStart, geomCoords, restrictions, stats, pruned,
+  };
+  const transfer = [coords, from, to, weight, duration, unpaved, attrs, geomStart, geomCoords].map(a => a.buffer);
+  return { packed, transfer };
+}
+
+export function unpackGraph(packed) {
+  const { ids, coords, from, to, weight, duration, unpaved, attrs, strings, geomStart, geomCoords } = packed;
+  const nodes = ids.map((id, i) => ({ id, lat: coords[2 * i], lng: coords[2 * i + 1] }));
+  const edges = [];
+  for (let i = 0; i < from.length; i++) {
+    const e = { from: ids[from[i]], to: ids[to[i]], weight: weight[i] };
+    if (!Number.isNaN(duration[i])) e.duration = duration[i];
+    e.unpaved = unpaved[i] === 1;
+    EDGE_ATTRS.forEach((k, j) => {
+      const s = attrs[i * EDGE_ATTRS.length + j];
+      if (s >= 0) e[k] = strings[s];
+    });
+    if (geomStart[i + 1] > geomStart[i]) {
+      e.geometry = [];
+      for (let p = geomStart[i]; p < geomStart[i + 1]; p++) e.geometry.push({ lat: geomCoords[2 * p], lng: geomCoords[2 * p + 1] });
+    }
+    edges.push(e);
+  }
+
+  const adjacency = Object.create(null);
+  for (const n of nodes) adjacency[n.id] = [];
+  for (const e of edges) adjacency[e.from].push(e);
+  const graph = { nodes, edges, adjacency, restrictions: packed.restrictions || {} };
+  if (packed.stats) graph.stats = packed.stats;
+  if (packed.pruned) graph.pruned = packed.pruned;
+  return graph;
+}
@@ -0,0 +1,75 @@
+// permalink.js - the shareable part of the app state, written to and read from the URL hash
+// Contract:
+//   encodePermalink(state): string   '#map=zoom/lat/lng&roads=1&...'
+//   decodePermalink(hash): state | null   null when the hash holds no map view
+//   state: {
+//     view: { lat, lng, zoom },
+//     roads: boolean, avoidUnpaved: boolean, showGraph: boolean,
+//     profile: string, metric: 'distance' | 'time', algorithm: string   how the route was computed
+//       (defaults 'car', 'distance', 'dijkstra', which are not written)
+//     grid: { lat, lng } | null   center of the synthetic grid (routes on it only make sense on the same grid)
+//     generator: { kind, seed } | null   which synthetic graph (graph.js GENERATORS) was built there;
+//       null is the plain grid, which is not written
+//     stops: Array<{ lat, lng }>   start, waypoints, end
+//     place: string   name of the selected search result ('' when none)
+//     region: string   id of the selected region (regions.js, '' for the open world)
+//   }
+// Toggles are only written when switched on, and choices only when they differ from the default;
+// missing ones are as on a fresh page.
+
+const VIEW_DIGITS = 5; // ~1 m
+const STOP_DIGITS = 6; // ~0.1 m, so shared stops snap onto the same road point
+const DEFAULTS = { profile: 'car', metric: 'distance', algorithm: 'dijkstra' };
+
+function point(p, digits) {
+  return `${p.lat.toFixed(digits)},${p.lng.toFixed(digits)}`;
+}
+
+function parsePoint(text) {
+  const [lat, lng] = text.split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+function parseGenerator(text) {
+  const [kind, seed] = String(text || '').split('/');
+  return kind && Number.isInteger(Number(seed)) ? { kind, seed: Number(seed) } : null;
+}
+
+export function encodePermalink(state) {
+  const { view } = state;
+  const params = [`map=${view.zoom}/${view.lat.toFixed(VIEW_DIGITS)}/${view.lng.toFixed(VIEW_DIGITS)}`];
+  if (state.roads) params.push('roads=1');
+  if (state.avoidUnpaved) params.push('unpaved=avoid');
+  if (state.showGraph) params.push('graph=1');
+  for (const key of Object.keys(DEFAULTS)) {
+    if (state[key] && state[key] !== DEFAULTS[key]) params.push(`${key}=${encodeURIComponent(state[key])}`);
+  }
+  if (!state.roads && state.grid) params.push(`grid=${point(state.grid, VIEW_DIGITS)}`);
+  if (!state.roads && state.grid && state.generator && state.generator.kind !== 'grid') {
+    params.push(`gen=${encodeURIComponent(state.generator.kind)}/${state.generator.seed}`);
+  }
+  if (state.stops.length) params.push(`stops=${state.stops.map(p => point(p, STOP_DIGITS)).join(';')}`);
+  if (state.place) params.push(`place=${encodeURIComponent(state.place)}`);
+  if (state.region) params.push(`region=${encodeURIComponent(state.region)}`);
+  return `#${params.join('&')}`;
+}
+
+export function decodePermalink(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number);
+  if (![zoom, lat, lng].every(Number.isFinite)) return null;
+  return {
+    view: { lat, lng, zoom },
+    roads: params.get('roads') === '1',
+    avoidUnpaved: params.get('unpaved') === 'avoid',
+    showGraph: params.get('graph') === '1',
+    profile: params.get('profile') || DEFAULTS.profile,
+    metric: params.get('metric') === 'time' ? 'time' : DEFAULTS.metric,
+    algorithm: params.get('algorithm') || DEFAULTS.algorithm,
+    grid: params.has('grid') ? parsePoint(params.get('grid')) : null,
+    generator: parseGenerator(params.get('gen')),
+    stops: (params.get('stops') || '').split(';').filter(Boolean).map(parsePoint).filter(Boolean),
+    place: params.get('place') || '',
+    region: params.get('region') || '',
+  };
+}
@@ -0,0 +1,134 @@
+// profiles.js - travel profiles (car, bicycle, foot) deciding which OSM ways are usable and how fast
+// Contract:
+//   PROFILES[id]: {
+//     label: string,
+//     speeds: Record<highway, km/h>   usable highway classes and their default speed
+//     optIn: string[]                 classes only usable when an access tag explicitly allows it
+//     accessKeys: string[]            access tags from least to most specific (most specific wins)
+//     useMaxspeed: boolean            honour the way's maxspeed tag
+//     oneway: boolean                 honour oneway tags
+//     restrictionModes: string[]      restriction:<mode> tags that apply (empty = ignore restrictions)
+//     defaultSpeed / maxSpeed: km/h   fallback for untagged edges (synthetic grid) / upper bound for A*
+//   }
+//   wayTraversal(tags, profile): null if the way is not usable, else { speed: km/h, direction }
+//     direction: 1 = forward only, -1 = backward only, 0 = both
+
+export const PROFILES = {
+  car: {
+    label: 'Car',
+    speeds: {
+      motorway: 110, motorway_link: 60, trunk: 80, trunk_link: 50,
+      primary: 60, primary_link: 40, secondary: 50, secondary_link: 40,
+      tertiary: 40, tertiary_link: 30, unclassified: 30, residential: 25,
+      service: 15, living_street: 10,
+    },
+    optIn: [],
+    accessKeys: ['access', 'vehicle', 'motor_vehicle', 'motorcar'],
+    useMaxspeed: true,
+    oneway: true,
+    restrictionModes: ['motorcar', 'motor_vehicle', 'vehicle'],
+    defaultSpeed: 40,
+    maxSpeed: 130,
+  },
+  bicycle: {
+    label: 'Bicycle',
+    speeds: {
+      primary: 18, primary_link: 18, secondary: 18, secondary_link: 18,
+      tertiary: 18, tertiary_link: 18, unclassified: 16, residential: 16,
+      service: 14, living_street: 12, cycleway: 18, track: 12, path: 12,
+      footway: 8, pedestrian: 8, bridleway: 8,
+    },
+    optIn: ['footway', 'pedestrian', 'bridleway'],
+    accessKeys: ['access', 'vehicle', 'bicycle'],
+    useMaxspeed: false,
+    oneway: true,
+    restrictionModes: ['bicycle', 'vehicle'],
+    defaultSpeed: 16,
+    maxSpeed: 25,
+  },
+  foot: {
+    label: 'Foot',
+    speeds: {
+      trunk: 5, trunk_link: 5, primary: 5, primary_link: 5, secondary: 5, secondary_link: 5,
+      tertiary: 5, tertiary_link: 5, unclassified: 5, residential: 5, service: 5,
+      living_street: 5, pedestrian: 5, footway: 5, path: 5, track: 5, cycleway: 5, steps: 2,
+      bridleway: 4,
+    },
+    optIn: [],
+    accessKeys: ['access', 'foot'],
+    useMaxspeed: false,
+    oneway: false,
+    restrictionModes: [],
+    defaultSpeed: 5,
+    maxSpeed: 6,
+  },
+};
+
+const ALLOWED = new Set(['yes', 'permissive', 'designated', 'destination', 'customers', 'official']);
+const DENIED = new Set(['no', 'private', 'agricultural', 'forestry', 'emergency', 'delivery', 'use_sidepath', 'discouraged']);
+
+// Whether the way's access tags let this profile through
+function accessAllowed(tags, profile, optIn) {
+  let allowed = !optIn;
+  for (const key of profile.accessKeys) {
+    const value = String(tags[key] || '').toLowerCase();
+    if (ALLOWED.has(value)) allowed = true;
+    else if (DENIED.has(value)) allowed = false;
+  }
+  return allowed;
+}
+
+// Parse an OSM maxspeed value into km/h ("50", "30 mph"); null for "none", "walk", zone codes...
+export function parseMaxspeed(value) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(mph|knots|km\/h|kmh)?\s*$/i.exec(String(value || ''));
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  const unit = (m[2] || '').toLowerCase();
+  if (unit === 'mph') return n * 1.609344;
+  if (unit === 'knots') return n * 1.852;
+  return n;
+}
+
+// Travel direction allowed on a way, relative to its node order (null = not routable, e.g. reversible lanes)
+function wayDirection(tags, profile) {
+  if (!profile.oneway) return 0;
+  let oneway = String(tags.oneway || '').toLowerCase();
+  if (profile === PROFILES.bicycle) {
+    const cycleway = String(tags.cycleway || '').toLowerCase();
+    if (tags['oneway:bicycle']) oneway = String(tags['oneway:bicycle']).toLowerCase();
+    else if (cycleway.startsWith('opposite')) oneway = 'no';
+  }
+  if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+  if (oneway === '-1' || oneway === 'reverse') return -1;
+  if (oneway === 'no' || oneway === 'false' || oneway === '0') return 0;
+  if (oneway === 'reversible' || oneway === 'alternating') return null;
+  // Implied one-ways (no explicit oneway tag)
+  const junction = String(tags.junction || '').toLowerCase();
+  const highway = String(tags.highway || '').toLowerCase();
+  if (junction === 'roundabout' || junction === 'circular') return 1;
+  if (highway === 'motorway') return 1;
+  return 0;
+}
+
+export function wayTraversal(tags = {}, profile = PROFILES.car) {
+  const highway = String(tags.highway || '').toLowerCase();
+  const classSpeed = profile.speeds[highway];
+  if (classSpeed === undefined) return null;
+  if (!accessAllowed(tags, profile, profile.optIn.includes(highway))) return null;
+  const direction = wayDirection(tags, profile);
+  if (direction === null) return null;
+  const tagged = profile.useMaxspeed ? parseMaxspeed(tags.maxspeed) : null;
+  const speed = Math.min(profile.maxSpeed, tagged || classSpeed);
+  return { speed, direction };
+}
+
+// Restriction value (e.g. "no_left_turn") of a restriction relation for this profile, or null if it does not apply
+export function restrictionValue(tags = {}, profile = PROFILES.car) {
+  if (!profile.restrictionModes.length) return null;
+  const except = String(tags.except || '').toLowerCase().split(';').map(s => s.trim());
+  if (profile.restrictionModes.some(mode => except.includes(mode))) return null;
+  for (const mode of profile.restrictionModes) {
+    if (tags[`restriction:${mode}`]) return String(tags[`restriction:${mode}`]).toLowerCase();
+  }
+  return tags.restriction ? String(tags.restriction).toLowerCase() : null;
+}
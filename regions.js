@@ -1,5 +1,12 @@
-// regions.js - predefined country/state regions with bounds and default views
-// bounds format: [[south, west], [north, east]]
+// regions.js - predefined country/state regions with bounds, default views and optional bundled road graphs
+// Contract:
+//   REGIONS: Array<{ id, name, bounds, view: { center: [lat, lng], zoom }, graph? }>
+//     bounds: [[south, west], [north, east]]; the map cannot be panned outside them
+//     graph: URL (relative to index.html) of a road-graph file for the region, GeoJSON or raw Overpass
+//       JSON as "Load file…" reads them; it is routed on instead of a grid, without asking Overpass
+//   findRegion(id): region | null
+//   regionContains(region, { lat, lng }): boolean
+//   toLatLngBounds(bounds): L.LatLngBounds   (the only part that needs Leaflet)
 
 export const REGIONS = [
   {
@@ -9,8 +16,67 @@ export const REGIONS = [
     bounds: [[30.6500, 76.7000], [30.7800, 76.9500]],
     view: { center: [30.7333, 76.8200], zoom: 13 },
   },
+  {
+    id: 'sample-town',
+    name: 'Sample town (bundled graph)',
+    // A small offline demo area (its streets are also in gazetteer.json)
+    bounds: [[30.7250, 76.7750], [30.7410, 76.8010]],
+    view: { center: [30.7330, 76.7880], zoom: 16 },
+    graph: './data/sample-town.json',
+  },
+  {
+    id: 'in-dl',
+    name: 'Delhi',
+    bounds: [[28.4000, 76.8400], [28.8900, 77.3500]],
+    view: { center: [28.6139, 77.2090], zoom: 11 },
+  },
+  {
+    id: 'in-pb',
+    name: 'Punjab (India)',
+    bounds: [[29.5300, 73.8700], [32.5100, 76.9400]],
+    view: { center: [31.1000, 75.4000], zoom: 8 },
+  },
+  {
+    id: 'in-hr',
+    name: 'Haryana',
+    bounds: [[27.6500, 74.4600], [30.9300, 77.6000]],
+    view: { center: [29.2000, 76.1000], zoom: 8 },
+  },
+  {
+    id: 'in-hp',
+    name: 'Himachal Pradesh',
+    bounds: [[30.3800, 75.5800], [33.2200, 79.0000]],
+    view: { center: [31.9000, 77.2000], zoom: 8 },
+  },
+  {
+    id: 'in',
+    name: 'India',
+    bounds: [[6.5000, 68.1000], [35.7000, 97.4000]],
+    view: { center: [22.5000, 79.0000], zoom: 5 },
+  },
+  {
+    id: 'nl',
+    name: 'Netherlands',
+    bounds: [[50.7500, 3.3100], [53.5600, 7.2300]],
+    view: { center: [52.2000, 5.3000], zoom: 8 },
+  },
+  {
+    id: 'ch',
+    name: 'Switzerland',
+    bounds: [[45.8200, 5.9600], [47.8100, 10.4900]],
+    view: { center: [46.8000, 8.2300], zoom: 8 },
+  },
 ];
 
+export function findRegion(id) {
+  return REGIONS.find(r => r.id === id) || null;
+}
+
+export function regionContains(region, p) {
+  const [[south, west], [north, east]] = region.bounds;
+  return p.lat >= south && p.lat <= north && p.lng >= west && p.lng <= east;
+}
+
 export function toLatLngBounds(bounds) {
   return L.latLngBounds([bounds[0][0], bounds[0][1]], [bounds[1][0], bounds[1][1]]);
 }
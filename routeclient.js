@@ -0,0 +1,113 @@
+// routeclient.js - page side of the route worker (routeworker.js)
+// Contract:
+//   createRouteClient(): client
+//     client.build(data, { profile, simplify, minIsland }): Promise<graph>   road graph from Overpass
+//       JSON, built (contracted, pruned) in the worker, which keeps it for routing
+//     client.load(graph): Promise<void>   hand a graph built on the page to the worker (its packed
+//       arrays are transferred, not copied)
+//     client.route(request): Promise<result>   see 'route' in routeworker.js
+//     client.cancel()   rejects the route query in flight with an AbortError
+//     client.threaded: false when no worker could be started (queries then run on the page)
+// A new route() cancels the previous one. A search cannot be interrupted, so the worker finishes it
+// and its answer is dropped by id; the worker and its graph stay as they are.
+
+import { createRouteService } from './routeworker.js';
+import { packGraph, unpackGraph } from './packgraph.js';
+
+function abortError() {
+  const err = new Error('Route query cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+export function createRouteClient() {
+  let worker = null;
+  let fallback = null; // in-page service when workers are unavailable
+  let nextId = 0;
+  const pending = new Map(); // id -> { resolve, reject, message }
+  let graphMessage = null; // () => 'load' message of the current graph, for the in-page fallback
+  let routeId = null; // id of the route query in flight
+
+  function spawn() {
+    try {
+      worker = new Worker(new URL('./routeworker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      worker = null;
+      fallback = createRouteService();
+      return;
+    }
+    worker.onmessage = (e) => settle(e.data);
+    worker.onerror = (e) => {
+      // e.g. module workers unsupported: finish on the page instead
+      e.preventDefault();
+      worker.terminate();
+      worker = null;
+      fallback = createRouteService();
+      // Graphs posted to the worker were transferred away, so 'load' messages are made afresh
+      const waiting = [...pending.values()].map(p => p.message);
+      if (graphMessage && !waiting.some(m => m.type === 'load')) post(graphMessage());
+      for (const message of waiting) post(message.type === 'load' && graphMessage ? { ...graphMessage(), id: message.id } : message);
+    };
+  }
+
+  function settle(reply) {
+    const entry = pending.get(reply.id);
+    if (!entry) return; // cancelled
+    pending.delete(reply.id);
+    if (reply.id === routeId) routeId = null;
+    if (reply.error) entry.reject(new Error(reply.error));
+    else entry.resolve(reply);
+  }
+
+  function post(message, transfer = []) {
+    if (worker) {
+      worker.postMessage(message, transfer);
+    } else {
+      // Answer asynchronously like a worker would
+      Promise.resolve().then(() => settle(fallback.handle(message).reply));
+    }
+  }
+
+  function request(message, transfer = []) {
+    if (!worker && !fallback) spawn();
+    const id = ++nextId;
+    const full = { ...message, id };
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, message: full });
+      post(full, transfer);
+    });
+  }
+
+  function cancel() {
+    if (routeId === null) return;
+    const entry = pending.get(routeId);
+    pending.delete(routeId); // settle() drops its answer when it comes
+    routeId = null;
+    if (entry) entry.reject(abortError());
+  }
+
+  return {
+    get threaded() { return !fallback; },
+
+    async build(data, { profile, simplify = false, minIsland = 0 } = {}) {
+      const reply = await request({ type: 'build', data, profile, simplify, minIsland });
+      graphMessage = () => ({ type: 'load', graph: reply.graph });
+      return unpackGraph(reply.graph);
+    },
+
+    async load(graph) {
+      graphMessage = () => ({ type: 'load', graph: packGraph(graph).packed });
+      const { packed, transfer } = packGraph(graph);
+      await request({ type: 'load', graph: packed }, transfer);
+    },
+
+    route(req) {
+      cancel();
+      const promise = request({ type: 'route', ...req });
+      routeId = nextId;
+      return promise;
+    },
+
+    cancel,
+  };
+}
@@ -0,0 +1,135 @@
+// routefiles.js - write routes as GPX / GeoJSON / KML and read GPS tracks from GPX
+// Contract:
+//   route: { name?, waypoints: Array<{ name, lat, lng }>, segments: Array<Segment> }
+//     Segment: { from: { lat, lng }, to: { lat, lng }, distance (m), duration? (s), surface?,
+//                unpaved?, road?, points? } -- one per routed edge, in travel order; points is the
+//                full shape (from ... to) of edges that have one
+//   routeToGPX(route): string     <wpt> per named stop, one <rte> whose <rtept>s carry the
+//                                 distance / surface of the segment they start (GPX extensions)
+//   routeToGeoJSON(route): FeatureCollection   Point per stop, LineString per segment
+//   routeToKML(route): string     Placemark per stop and per segment (ExtendedData attributes)
+//   parseGPX(text): Array<{ lat, lng, time? }>   track points (<trkpt>), else route points (<rtept>)
+//   routeFromPath(path, edges, { getNode, waypoints, name, ...routing opts }): route
+//     the route above for a routed path (durations from edgeDuration with the routing opts)
+
+import { edgeDuration } from './routing.js';
+import { roadLabel } from './directions.js';
+
+const EXT_NS = 'urn:dijnav:route';
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// Attributes written for every segment, skipping those the edge does not have
+function segmentAttributes(seg) {
+  const attrs = { distance: Number(seg.distance.toFixed(1)) };
+  if (Number.isFinite(seg.duration)) attrs.duration = Number(seg.duration.toFixed(1));
+  if (seg.surface) attrs.surface = seg.surface;
+  if (seg.unpaved !== undefined) attrs.unpaved = Boolean(seg.unpaved);
+  if (seg.road) attrs.road = seg.road;
+  return attrs;
+}
+
+function segmentPoints(seg) {
+  return seg.points || [seg.from, seg.to];
+}
+
+export function routeToGPX(route) {
+  const name = route.name || 'Route';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="DijNAV" xmlns="http://www.topografix.com/GPX/1/1" xmlns:dijnav="${EXT_NS}">`,
+  ];
+  for (const wp of route.waypoints) {
+    lines.push(`  <wpt lat="${wp.lat}" lon="${wp.lng}"><name>${escapeXml(wp.name)}</name></wpt>`);
+  }
+  lines.push('  <rte>', `    <name>${escapeXml(name)}</name>`);
+  route.segments.forEach((seg) => {
+    const ext = Object.entries(segmentAttributes(seg))
+      .map(([k, v]) => `<dijnav:${k}>${escapeXml(v)}</dijnav:${k}>`).join('');
+    const [first, ...shape] = segmentPoints(seg).slice(0, -1);
+    lines.push(`    <rtept lat="${first.lat}" lon="${first.lng}"><extensions>${ext}</extensions></rtept>`);
+    for (const p of shape) lines.push(`    <rtept lat="${p.lat}" lon="${p.lng}"></rtept>`);
+  });
+  const last = route.segments[route.segments.length - 1];
+  if (last) lines.push(`    <rtept lat="${last.to.lat}" lon="${last.to.lng}"></rtept>`);
+  lines.push('  </rte>', '</gpx>', '');
+  return lines.join('\n');
+}
+
+export function routeToGeoJSON(route) {
+  const features = route.waypoints.map(wp => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [wp.lng, wp.lat] },
+    properties: { name: wp.name },
+  }));
+  for (const seg of route.segments) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: segmentPoints(seg).map(p => [p.lng, p.lat]) },
+      properties: segmentAttributes(seg),
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+export function routeToKML(route) {
+  const name = route.name || 'Route';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+  ];
+  for (const wp of route.waypoints) {
+    lines.push(`    <Placemark><name>${escapeXml(wp.name)}</name><Point><coordinates>${wp.lng},${wp.lat}</coordinates></Point></Placemark>`);
+  }
+  route.segments.forEach((seg, i) => {
+    const data = Object.entries(segmentAttributes(seg))
+      .map(([k, v]) => `<Data name="${k}"><value>${escapeXml(v)}</value></Data>`).join('');
+    const coords = segmentPoints(seg).map(p => `${p.lng},${p.lat}`).join(' ');
+    lines.push(`    <Placemark><name>Segment ${i + 1}</name><ExtendedData>${data}</ExtendedData><LineString><coordinates>${coords}</coordinates></LineString></Placemark>`);
+  });
+  lines.push('  </Document>', '</kml>', '');
+  return lines.join('\n');
+}
+
+// Points of one element type; a small regex reader is enough for GPX and also works outside the browser
+function gpxPoints(text, tag) {
+  const points = [];
+  const re = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  for (const m of text.matchAll(re)) {
+    const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(m[1]);
+    const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(m[1]);
+    if (!lat || !lon) continue;
+    const point = { lat: parseFloat(lat[1]), lng: parseFloat(lon[1]) };
+    if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng)) continue;
+    const time = m[2] && /<time>([^<]+)<\/time>/.exec(m[2]);
+    if (time) point.time = time[1].trim();
+    points.push(point);
+  }
+  return points;
+}
+
+export function parseGPX(text) {
+  const track = gpxPoints(text, 'trkpt');
+  return track.length ? track : gpxPoints(text, 'rtept');
+}
+
+export function routeFromPath(path, edges, { getNode, waypoints = [], name = 'Route', ...opts } = {}) {
+  return {
+    name,
+    waypoints,
+    segments: edges.map((edge, i) => ({
+      from: getNode(path[i]),
+      to: getNode(path[i + 1]),
+      points: edge.geometry,
+      distance: edge.weight,
+      duration: edgeDuration(edge, opts),
+      surface: edge.surface,
+      unpaved: edge.unpaved,
+      road: roadLabel(edge),
+    })),
+  };
+}
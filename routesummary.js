@@ -0,0 +1,79 @@
+// routesummary.js - what a route is made of: meters per surface and per road class, and where along it
+// Contract:
+//   summarizeRoute(edges): { length, surfaces, classes, unpaved, segments }
+//     surfaces / classes: Array<{ key, length, share, unpaved }>, longest first; share 0..1 of length
+//       key: the edge's `surface` ('unpaved' / 'paved' when it has none) or `highway` ('unknown')
+//     unpaved: { length, share }   everything flagged unpaved, whatever its surface tag says
+//     segments: Array<{ edge, start, end, surface, highway, unpaved }>   one per edge, start / end in meters
+//   runsBy(segments, field): Array<{ key, start, end }>   consecutive segments with the same
+//     value of field merged, e.g. the unpaved stretches of a route or the bands of a strip chart
+//   pointAlong(segments, meters, getNode): { lat, lng, segment } | null   the point that far along the route
+
+import { edgePoints, sliceLine } from './geo.js';
+
+function surfaceKey(edge) {
+  return edge.surface || (edge.unpaved ? 'unpaved' : 'paved');
+}
+
+function shares(totals, length) {
+  return [...totals.values()]
+    .map(t => ({ ...t, share: length > 0 ? t.length / length : 0 }))
+    .sort((a, b) => b.length - a.length || a.key.localeCompare(b.key));
+}
+
+export function summarizeRoute(edges) {
+  const segments = [];
+  const surfaces = new Map();
+  const classes = new Map();
+  let length = 0;
+  let unpaved = 0;
+  const add = (totals, key, edge) => {
+    if (!totals.has(key)) totals.set(key, { key, length: 0, unpaved: false });
+    const t = totals.get(key);
+    t.length += edge.weight;
+    t.unpaved = t.unpaved || Boolean(edge.unpaved);
+  };
+  for (const edge of edges) {
+    const surface = surfaceKey(edge);
+    const highway = edge.highway || 'unknown';
+    segments.push({ edge, start: length, end: length + edge.weight, surface, highway, unpaved: Boolean(edge.unpaved) });
+    add(surfaces, surface, edge);
+    add(classes, highway, edge);
+    length += edge.weight;
+    if (edge.unpaved) unpaved += edge.weight;
+  }
+  return {
+    length,
+    surfaces: shares(surfaces, length),
+    classes: shares(classes, length),
+    unpaved: { length: unpaved, share: length > 0 ? unpaved / length : 0 },
+    segments,
+  };
+}
+
+export function runsBy(segments, field) {
+  const runs = [];
+  for (const s of segments) {
+    const last = runs[runs.length - 1];
+    if (last && last.key === s[field]) last.end = s.end;
+    else runs.push({ key: s[field], start: s.start, end: s.end });
+  }
+  return runs;
+}
+
+export function pointAlong(segments, meters, getNode) {
+  if (!segments.length) return null;
+  // Binary search for the segment that contains the distance
+  let lo = 0;
+  let hi = segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (segments[mid].end < meters) lo = mid + 1;
+    else hi = mid;
+  }
+  const segment = segments[lo];
+  const span = segment.end - segment.start;
+  const f = span > 0 ? Math.min(1, Math.max(0, (meters - segment.start) / span)) : 0;
+  const [point] = sliceLine(edgePoints(segment.edge, getNode), f, f);
+  return { lat: point.lat, lng: point.lng, segment };
+}
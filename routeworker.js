@@ -0,0 +1,127 @@
+// routeworker.js - graph building and route queries off the main thread
+// Contract (messages, see routeclient.js for the page side):
+//   { type: 'build', data, profile, simplify, minIsland }  Overpass JSON -> road graph (contracted when
+//     simplify, without islands of fewer than minIsland nodes when given, see connectivity.js)
+//     reply: { graph: packed } (packgraph.js), the worker keeps the graph for routing
+//   { type: 'load', graph: packed }   use a graph built on the page (synthetic grid, files)
+//   { type: 'route', algorithm, stops, virtual, opts, rules, alternatives }
+//     stops: node ids, one leg per consecutive pair; virtual: Array<{ id, edge, from, t, lat, lng }>
+//       the page's virtual nodes (edge = index into graph.edges of the split edge); entries whose edge
+//       is missing or does not start at `from` (snapped on another graph) are left out
+//     opts: plain routing options (metric, avoidUnpaved, ...); restrictions and node coordinates
+//       come from the worker's graph
+//     rules: avoidance zones and closures (avoidance.js), turned into opts.edgeFactor here
+//     alternatives: also return alternativeRoutes for a single leg
+//     reply: { legs, alternatives, failedLeg } with edges as { edge, from, to } references
+//       (edge = index of the graph edge, or of the edge a virtual piece was split from);
+//       failedLeg is the index of the first leg without a route, or -1
+//   Every reply echoes the request's id; errors come back as { id, error: message }.
+// createRouteService() is the same handler without a worker, for pages that cannot start one.
+
+import { buildRoadGraph } from './osm.js';
+import { contractGraph } from './simplify.js';
+import { pruneIslands } from './connectivity.js';
+import { findRoute, alternativeRoutes } from './routing.js';
+import { insertVirtualNode, removeVirtualNode } from './spatial.js';
+import { packGraph, unpackGraph } from './packgraph.js';
+import { edgeFactors, edgeFactorOption } from './avoidance.js';
+
+export function createRouteService() {
+  let graph = null;
+  let edgeIndex = new Map();
+  let nodeById = new Map();
+  let avoidance = { key: '[]', edgeFactor: null }; // rules of the last query, matched once per graph
+
+  function use(next) {
+    graph = next;
+    edgeIndex = new Map(graph.edges.map((e, i) => [e, i]));
+    nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+    avoidance = { key: '[]', edgeFactor: null };
+  }
+
+  function edgeFactorFor(rules) {
+    const key = JSON.stringify(rules);
+    if (key !== avoidance.key) {
+      const factors = edgeFactors(rules, graph.edges, id => nodeById.get(id));
+      avoidance = { key, edgeFactor: factors.size ? edgeFactorOption(factors) : null };
+    }
+    return avoidance.edgeFactor;
+  }
+
+  function edgeRef(e) {
+    return { edge: edgeIndex.get(e.parent || e), from: e.from, to: e.to };
+  }
+
+  function leg(result) {
+    const { cost, length, distance, path, visitedCount } = result;
+    return { cost, length, distance, path, edges: result.edges.map(edgeRef), visitedCount };
+  }
+
+  function route({ algorithm, stops, virtual = [], opts = {}, rules = [], alternatives = false }) {
+    if (!graph) throw new Error('No graph loaded');
+    const edgeFactor = edgeFactorFor(rules); // before the virtual nodes go in
+    const inserted = [];
+    try {
+      for (const v of virtual) {
+        // Snaps made on another graph (a query racing a rebuild) point at edges this one lacks
+        const edge = graph.edges[v.edge];
+        if (!edge || edge.from !== v.from || nodeById.has(v.id)) continue;
+        const node = insertVirtualNode(graph, { edge, from: v.from, t: v.t, point: v }, { id: v.id });
+        nodeById.set(node.id, node);
+        inserted.push(node.id);
+      }
+      const routeOpts = { ...opts, edgeFactor, restrictions: graph.restrictions, nodes: nodeById };
+      const legs = [];
+      for (let i = 0; i < stops.length - 1; i++) {
+        const result = findRoute(algorithm, graph.adjacency, stops[i], stops[i + 1], routeOpts);
+        if (!result.path || result.path.length === 0 || !Number.isFinite(result.distance)) {
+          return { legs: [], alternatives: [], failedLeg: i };
+        }
+        legs.push(result);
+      }
+      const alts = (alternatives && legs.length === 1)
+        ? alternativeRoutes(graph.adjacency, stops[0], stops[1], { ...routeOpts, primary: legs[0] }).slice(1)
+        : [];
+      return { legs: legs.map(leg), alternatives: alts.map(leg), failedLeg: -1 };
+    } finally {
+      for (const id of inserted) {
+        removeVirtualNode(graph, id);
+        nodeById.delete(id);
+      }
+    }
+  }
+
+  // Returns { reply, transfer }
+  function handle(message) {
+    const { id, type } = message;
+    try {
+      if (type === 'build') {
+        let built = buildRoadGraph(message.data, { profile: message.profile });
+        if (message.simplify) built = contractGraph(built);
+        if (message.minIsland > 1) built = pruneIslands(built, message.minIsland);
+        use(built);
+        const { packed, transfer } = packGraph(built);
+        return { reply: { id, graph: packed }, transfer };
+      }
+      if (type === 'load') {
+        use(unpackGraph(message.graph));
+        return { reply: { id }, transfer: [] };
+      }
+      if (type === 'route') return { reply: { id, ...route(message) }, transfer: [] };
+      throw new Error(`Unknown message type: ${type}`);
+    } catch (err) {
+      return { reply: { id, error: err.message }, transfer: [] };
+    }
+  }
+
+  return { handle };
+}
+
+// Inside a worker, answer the page's messages
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const service = createRouteService();
+  self.onmessage = (e) => {
+    const { reply, transfer } = service.handle(e.data);
+    self.postMessage(reply, transfer);
+  };
+}
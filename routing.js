@@ -0,0 +1,440 @@
+// routing.js - shortest-path algorithms shared by the app (and anything else that routes)
+// Contract (every algorithm):
+//   algorithm(adjacency, start, goal, opts): { cost, length, distance, path, edges, visitedCount }
+//     adjacency: Record<string, Array<{ to: string, weight: number, duration?: number, unpaved?: boolean, way?: string }>>
+//     opts.metric: 'distance' (meters, default) or 'time' (seconds, from edge.duration)
+//     opts.fallbackSpeed: m/s used for edges without a duration (synthetic grid)
+//     opts.maxSpeed: m/s upper bound on speed, keeps the A* heuristic admissible in time mode
+//     opts.avoidUnpaved / opts.unpavedFactor: multiply the cost of unpaved edges
+//     opts.costModel: multipliers per surface and highway class (see costmodel.js)
+//     opts.edgeFactor: optional (edge) => number multiplying an edge's cost; Infinity closes the edge
+//       (avoidance zones and road closures, see avoidance.js)
+//     opts.restrictions: Record<viaNodeId, Array<{ from, to, type }>> turn restrictions (see osm.js)
+//     opts.nodes: Array<{ id, lat, lng }> (or a Map id -> node) node coordinates, needed by A*
+//     opts.trace: optional callback receiving every queue push / settle of the search
+//       ({ type: 'push' | 'settle' | 'meet', node, cost, ... }, see searchtrace.js)
+//   cost is the minimized cost (meters or seconds, times every factor above), length the meters
+//   actually travelled; distance is the older name of cost. edges are the adjacency entries along path.
+//   cost and length are Infinity and path is [] when goal cannot be reached.
+//
+// Search states are node ids, except at turn-restriction via nodes where the state also
+// remembers the way we arrived on ("node|way"), so banned turns can be skipped there.
+
+import { haversine } from './geo.js';
+import { modelFactor } from './costmodel.js';
+
+// Binary min-heap of (key, priority) pairs. There is no decrease-key: callers push again
+// and skip stale entries when they pop a key that was already settled.
+export function createMinHeap() {
+  const keys = [];
+  const prios = [];
+
+  function swap(i, j) {
+    [keys[i], keys[j]] = [keys[j], keys[i]];
+    [prios[i], prios[j]] = [prios[j], prios[i]];
+  }
+
+  function push(key, priority) {
+    keys.push(key);
+    prios.push(priority);
+    let i = keys.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (prios[parent] <= prios[i]) break;
+      swap(i, parent);
+      i = parent;
+    }
+  }
+
+  function pop() {
+    if (!keys.length) return undefined;
+    const top = keys[0];
+    const lastKey = keys.pop();
+    const lastPrio = prios.pop();
+    if (keys.length) {
+      keys[0] = lastKey;
+      prios[0] = lastPrio;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < keys.length && prios[l] < prios[m]) m = l;
+        if (r < keys.length && prios[r] < prios[m]) m = r;
+        if (m === i) break;
+        swap(i, m);
+        i = m;
+      }
+    }
+    return top;
+  }
+
+  return {
+    push,
+    pop,
+    peekKey: () => keys[0],
+    peekPriority: () => (keys.length ? prios[0] : Infinity),
+    get size() { return keys.length; },
+  };
+}
+
+// Whether turning from `fromWay` onto `toWay` at node `via` is allowed by turn restrictions
+export function turnAllowed(restrictions, via, fromWay, toWay) {
+  const rules = restrictions && restrictions[via];
+  if (!rules || fromWay === undefined || toWay === undefined) return true;
+  for (const r of rules) {
+    if (r.from !== fromWay) continue;
+    if (r.type === 'no' && r.to === toWay) return false;
+    if (r.type === 'only' && r.to !== toWay) return false;
+  }
+  return true;
+}
+
+// Travel time of an edge in seconds
+export function edgeDuration(edge, opts = {}) {
+  const { fallbackSpeed = 40 / 3.6 } = opts;
+  return Number.isFinite(edge.duration) ? edge.duration : edge.weight / fallbackSpeed;
+}
+
+function edgeCost(edge, opts) {
+  const { avoidUnpaved = false, unpavedFactor = 3, metric = 'distance', penalties = null, edgeFactor = null, costModel = null } = opts;
+  let factor = (avoidUnpaved && edge.unpaved) ? unpavedFactor : 1;
+  if (costModel) factor *= modelFactor(costModel, edge);
+  if (penalties && penalties.has(edge)) factor *= penalties.get(edge);
+  if (edgeFactor) factor *= edgeFactor(edge);
+  const base = metric === 'time' ? edgeDuration(edge, opts) : edge.weight;
+  return base * factor;
+}
+
+// Cost of an already routed list of edges under the given options
+export function pathCost(edges, opts = {}) {
+  let total = 0;
+  for (const e of edges) total += edgeCost(e, opts);
+  return total;
+}
+
+// Physical length (meters) and travel time (seconds) of a list of edges
+export function routeTotals(edges, opts = {}) {
+  let length = 0;
+  let duration = 0;
+  for (const e of edges) {
+    length += e.weight;
+    duration += edgeDuration(e, opts);
+  }
+  return { length, duration };
+}
+
+// The shared point-to-point result
+function routeResult(cost, path, edges, visitedCount) {
+  const length = Number.isFinite(cost) ? edges.reduce((sum, e) => sum + e.weight, 0) : Infinity;
+  return { cost, length, distance: cost, path, edges, visitedCount };
+}
+
+function stateKey(restrictions, node, way) {
+  return (restrictions && restrictions[node]) ? `${node}|${way}` : node;
+}
+
+// Node coordinate lookups are cached per nodes array
+const nodeIndexCache = new WeakMap();
+function nodeIndex(nodes) {
+  if (nodes instanceof Map) return nodes;
+  let index = nodeIndexCache.get(nodes);
+  if (!index) {
+    index = new Map(nodes.map(n => [n.id, n]));
+    nodeIndexCache.set(nodes, index);
+  }
+  return index;
+}
+
+// Best-first search core shared by Dijkstra (heuristic = 0), A* and the one-to-many searches.
+// `stop(state, node, cost, edge)` is called as each state is settled (edge = how it was reached);
+// returning true ends the search.
+function bestFirst(adjacency, start, opts, heuristic, stop) {
+  const { restrictions = null, trace = null } = opts;
+  const dist = new Map([[start, 0]]);
+  const prev = new Map();
+  const nodeOf = new Map([[start, start]]); // state -> node id
+  const wayOf = new Map(); // state -> way used to reach it
+  const edgeOf = new Map(); // state -> adjacency entry used to reach it
+  const settled = new Set();
+  const heap = createMinHeap();
+  heap.push(start, heuristic(start));
+  if (trace) trace({ type: 'push', node: start, from: null, edge: null, cost: 0, priority: heuristic(start), side: 'forward' });
+
+  while (heap.size) {
+    const s = heap.pop();
+    if (settled.has(s)) continue; // stale heap entry
+    settled.add(s);
+
+    const u = nodeOf.get(s);
+    if (trace) trace({ type: 'settle', node: u, cost: dist.get(s), side: 'forward' });
+    if (stop(s, u, dist.get(s), edgeOf.get(s))) break;
+
+    for (const edge of adjacency[u] || []) {
+      if (restrictions && !turnAllowed(restrictions, u, wayOf.get(s), edge.way)) continue;
+      const v = edge.to;
+      const t = stateKey(restrictions, v, edge.way);
+      if (settled.has(t)) continue;
+      const cost = edgeCost(edge, opts);
+      if (cost === Infinity) continue; // closed
+      const alt = dist.get(s) + cost;
+      if (!(alt >= dist.get(t))) {
+        dist.set(t, alt);
+        prev.set(t, s);
+        nodeOf.set(t, v);
+        wayOf.set(t, edge.way);
+        edgeOf.set(t, edge);
+        const priority = alt + heuristic(v);
+        heap.push(t, priority);
+        if (trace) trace({ type: 'push', node: v, from: u, edge, cost: alt, priority, side: 'forward' });
+      }
+    }
+  }
+
+  return { dist, prev, nodeOf, edgeOf, settled };
+}
+
+// Point-to-point search: result in the shared routeResult shape
+function pointToPoint(adjacency, start, goal, opts, heuristic) {
+  let goalState = null;
+  const { dist, prev, nodeOf, edgeOf, settled } = bestFirst(adjacency, start, opts, heuristic, (s, u) => {
+    if (u !== goal) return false;
+    goalState = s;
+    return true;
+  });
+
+  const path = [];
+  const edges = [];
+  for (let s = goalState; s !== null && s !== undefined; s = prev.get(s)) {
+    path.unshift(nodeOf.get(s));
+    if (edgeOf.has(s)) edges.unshift(edgeOf.get(s));
+  }
+
+  return routeResult(goalState === null ? Infinity : dist.get(goalState), path, edges, settled.size);
+}
+
+// One-to-many Dijkstra from `source`. Stops once every node in opts.targets is settled
+// (when given) or costs pass opts.maxCost.
+//   returns { dist: Map<nodeId, cost>, parent: Map<nodeId, edge>, lengthTo(nodeId), visitedCount }
+//   parent holds the edge each node was first reached by (absent for the source).
+//   lengthTo(node): meters travelled by the cheapest route to node (Infinity when not reached). It follows
+//   the search states, so unlike a walk up `parent` it takes the detours turn restrictions force.
+export function shortestPathTree(adjacency, source, opts = {}) {
+  const { targets = null, maxCost = Infinity } = opts;
+  const remaining = targets ? new Set(targets) : null;
+  const best = new Map();
+  const parent = new Map();
+  const stateOf = new Map(); // node -> the search state that settled it first
+  const search = bestFirst(adjacency, source, opts, () => 0, (s, u, cost, edge) => {
+    if (cost > maxCost) return true;
+    if (best.has(u)) return false; // node already reached through another turn state
+    best.set(u, cost);
+    stateOf.set(u, s);
+    if (edge) parent.set(u, edge);
+    if (remaining) {
+      remaining.delete(u);
+      return remaining.size === 0;
+    }
+    return false;
+  });
+  const meters = new Map([[source, 0]]); // search state -> meters from the source, filled in on demand
+  function lengthTo(node) {
+    if (!stateOf.has(node)) return Infinity;
+    const chain = [];
+    for (let s = stateOf.get(node); !meters.has(s); s = search.prev.get(s)) chain.push(s);
+    for (let k = chain.length - 1; k >= 0; k--) {
+      meters.set(chain[k], meters.get(search.prev.get(chain[k])) + search.edgeOf.get(chain[k]).weight);
+    }
+    return meters.get(stateOf.get(node));
+  }
+  return { dist: best, parent, lengthTo, visitedCount: search.settled.size };
+}
+
+// Dijkstra's algorithm with a binary heap
+export function dijkstra(adjacency, start, goal, opts = {}) {
+  return pointToPoint(adjacency, start, goal, opts, () => 0);
+}
+
+// A* with a straight-line (haversine) heuristic; edge weights are meters, so it never overestimates.
+// In time mode the straight line is covered at opts.maxSpeed, which is equally optimistic.
+export function astar(adjacency, start, goal, opts = {}) {
+  const { nodes = [], metric = 'distance', maxSpeed = 130 / 3.6 } = opts;
+  const index = nodeIndex(nodes);
+  const target = index.get(goal);
+  if (!target) return dijkstra(adjacency, start, goal, opts);
+  const scale = metric === 'time' ? 1 / maxSpeed : 1;
+  const heuristic = (id) => {
+    const n = index.get(id);
+    return n ? haversine(n, target) * scale : 0;
+  };
+  return pointToPoint(adjacency, start, goal, opts, heuristic);
+}
+
+// Bidirectional Dijkstra: searches forward from start and backward from goal until the
+// frontiers meet. The backward search runs on reversed edges, and its states at via nodes
+// remember the way we leave on, so a meeting at a via node is only accepted if that turn is legal.
+export function bidirectional(adjacency, start, goal, opts = {}) {
+  const { restrictions = null, trace = null } = opts;
+
+  // Reverse adjacency: node -> { to: tail, edge } for every edge arriving at it
+  const reverse = Object.create(null);
+  for (const from of Object.keys(adjacency)) {
+    for (const edge of adjacency[from]) {
+      (reverse[edge.to] ||= []).push({ to: from, edge });
+    }
+  }
+
+  function side(origin, adj) {
+    return {
+      adj,
+      dist: new Map([[origin, 0]]),
+      prev: new Map(),
+      nodeOf: new Map([[origin, origin]]),
+      wayOf: new Map(),
+      edgeOf: new Map(),
+      atNode: new Map([[origin, [origin]]]), // node -> states labelled at it
+      settled: new Set(),
+      heap: (() => { const h = createMinHeap(); h.push(origin, 0); return h; })(),
+    };
+  }
+  const fwd = side(start, adjacency);
+  const bwd = side(goal, reverse);
+
+  let best = Infinity;
+  let meet = null; // [forward state, backward state]
+
+  // Try to join a freshly labelled state with every state the other side has at the same node
+  function tryMeet(self, other, s, forward) {
+    const v = self.nodeOf.get(s);
+    for (const o of other.atNode.get(v) || []) {
+      const f = forward ? s : o;
+      const b = forward ? o : s;
+      if (!turnAllowed(restrictions, v, fwd.wayOf.get(f), bwd.wayOf.get(b))) continue;
+      const total = fwd.dist.get(f) + bwd.dist.get(b);
+      if (total < best) {
+        best = total;
+        meet = [f, b];
+        if (trace) trace({ type: 'meet', node: v, cost: total });
+      }
+    }
+  }
+
+  function topPriority(sd) {
+    while (sd.heap.size && sd.settled.has(sd.heap.peekKey())) sd.heap.pop();
+    return sd.heap.peekPriority();
+  }
+
+  if (trace) {
+    trace({ type: 'push', node: start, from: null, edge: null, cost: 0, priority: 0, side: 'forward' });
+    trace({ type: 'push', node: goal, from: null, edge: null, cost: 0, priority: 0, side: 'backward' });
+  }
+  tryMeet(fwd, bwd, start, true);
+
+  while (fwd.heap.size || bwd.heap.size) {
+    const topF = topPriority(fwd);
+    const topB = topPriority(bwd);
+    if (topF + topB >= best) break;
+    if (topF === Infinity && topB === Infinity) break;
+
+    const forward = topF <= topB;
+    const self = forward ? fwd : bwd;
+    const other = forward ? bwd : fwd;
+    const s = self.heap.pop();
+    self.settled.add(s);
+    const u = self.nodeOf.get(s);
+    const sideName = forward ? 'forward' : 'backward';
+    if (trace) trace({ type: 'settle', node: u, cost: self.dist.get(s), side: sideName });
+
+    for (const item of self.adj[u] || []) {
+      const edge = forward ? item : item.edge;
+      // Forward: arrived on wayOf(s), leaving on edge.way. Backward: arriving on edge.way, leaving on wayOf(s).
+      const allowed = forward
+        ? turnAllowed(restrictions, u, self.wayOf.get(s), edge.way)
+        : turnAllowed(restrictions, u, edge.way, self.wayOf.get(s));
+      if (!allowed) continue;
+      const v = item.to;
+      const t = stateKey(restrictions, v, edge.way);
+      if (self.settled.has(t)) continue;
+      const cost = edgeCost(edge, opts);
+      if (cost === Infinity) continue;
+      const alt = self.dist.get(s) + cost;
+      if (!(alt >= self.dist.get(t))) {
+        if (!self.dist.has(t)) {
+          if (!self.atNode.has(v)) self.atNode.set(v, []);
+          self.atNode.get(v).push(t);
+        }
+        self.dist.set(t, alt);
+        self.prev.set(t, s);
+        self.nodeOf.set(t, v);
+        self.wayOf.set(t, edge.way);
+        self.edgeOf.set(t, edge);
+        self.heap.push(t, alt);
+        if (trace) trace({ type: 'push', node: v, from: u, edge, cost: alt, priority: alt, side: sideName });
+        tryMeet(self, other, t, forward);
+      }
+    }
+  }
+
+  const visitedCount = fwd.settled.size + bwd.settled.size;
+  if (!meet) return routeResult(Infinity, [], [], visitedCount);
+
+  const path = [];
+  const edges = [];
+  for (let s = meet[0]; s !== undefined; s = fwd.prev.get(s)) {
+    path.unshift(fwd.nodeOf.get(s));
+    if (fwd.edgeOf.has(s)) edges.unshift(fwd.edgeOf.get(s));
+  }
+  for (let s = meet[1]; s !== undefined; s = bwd.prev.get(s)) {
+    if (s !== meet[1]) path.push(bwd.nodeOf.get(s));
+    if (bwd.edgeOf.has(s)) edges.push(bwd.edgeOf.get(s));
+  }
+
+  return routeResult(best, path, edges, visitedCount);
+}
+
+// Algorithms selectable in the UI, keyed by the <select id="algorithm"> option values
+export const ALGORITHMS = {
+  dijkstra: { label: 'Dijkstra', run: dijkstra },
+  astar: { label: 'A*', run: astar },
+  bidirectional: { label: 'Bidirectional Dijkstra', run: bidirectional },
+};
+
+export function findRoute(algorithm, adjacency, start, goal, opts = {}) {
+  const entry = ALGORITHMS[algorithm] || ALGORITHMS.dijkstra;
+  return entry.run(adjacency, start, goal, opts);
+}
+
+// Up to opts.k routes between start and goal using the penalty method: after each route is found,
+// its edges get more expensive and the search runs again. A candidate is kept only if it is not too
+// similar to the routes kept so far (shared length / own length <= maxOverlap) and not too long
+// (cost <= maxStretch x the best cost). The first result is the optimal route (opts.primary if given).
+export function alternativeRoutes(adjacency, start, goal, opts = {}) {
+  const { k = 3, maxOverlap = 0.7, maxStretch = 1.5, penalty = 1.5, primary = null } = opts;
+  const baseOpts = { ...opts, penalties: null };
+  const best = primary || dijkstra(adjacency, start, goal, baseOpts);
+  if (!best.path.length || !Number.isFinite(best.distance)) return [];
+
+  const routes = [best];
+  const penalties = new Map();
+  const penalize = (edges) => {
+    for (const e of edges) penalties.set(e, (penalties.get(e) || 1) * penalty);
+  };
+  penalize(best.edges);
+
+  for (let attempt = 0; routes.length < k && attempt < k * 3; attempt++) {
+    const candidate = dijkstra(adjacency, start, goal, { ...baseOpts, penalties });
+    if (!candidate.path.length) break;
+    penalize(candidate.edges);
+
+    const cost = pathCost(candidate.edges, baseOpts);
+    if (cost > best.distance * maxStretch) continue; // too much of a detour
+    const length = candidate.edges.reduce((sum, e) => sum + e.weight, 0);
+    const tooSimilar = routes.some((r) => {
+      const used = new Set(r.edges);
+      const shared = candidate.edges.reduce((sum, e) => sum + (used.has(e) ? e.weight : 0), 0);
+      return length === 0 || shared / length > maxOverlap;
+    });
+    if (!tooSimilar) routes.push({ ...candidate, cost, distance: cost });
+  }
+  return routes;
+}
@@ -0,0 +1,69 @@
+// searchtrace.js - record a routing search and replay it one event at a time (teaching view)
+// Contract:
+//   recordSearch(algorithm, adjacency, stopIds, opts): { events, legs }
+//     runs findRoute (routing.js) for every leg with opts.trace and collects the events;
+//     a { type: 'leg', index, start, goal } event opens each leg. legs: the routing results.
+//   Events emitted by the algorithms through opts.trace:
+//     { type: 'push', node, from, edge, cost, priority, side }  a better tentative label was queued
+//       (from / edge: how it was reached, null for the origin; priority: cost + A* estimate)
+//     { type: 'settle', node, cost, side }                     node popped from the queue, final
+//     { type: 'meet', node, cost }                             bidirectional: best meeting point so far
+//     side: 'forward' | 'backward' (only the bidirectional search goes backward)
+//   createTracePlayer(events): player
+//     player.step(): applies the next event and returns it (null once finished)
+//     player.peek(): the next event without applying it (null once finished)
+//     player.position / player.total / player.done
+//     player.settled: Map<node, side>; player.frontier: Map<'side:node', { node, cost, priority, side }>
+//     player.queue(limit): frontier entries in the order the queue would pop them
+
+import { findRoute } from './routing.js';
+
+export function recordSearch(algorithm, adjacency, stopIds, opts = {}) {
+  const events = [];
+  const legs = [];
+  const trace = (event) => events.push(event);
+  for (let i = 0; i < stopIds.length - 1; i++) {
+    events.push({ type: 'leg', index: i, start: stopIds[i], goal: stopIds[i + 1] });
+    legs.push(findRoute(algorithm, adjacency, stopIds[i], stopIds[i + 1], { ...opts, trace }));
+  }
+  return { events, legs };
+}
+
+export function createTracePlayer(events) {
+  const settled = new Map();
+  const frontier = new Map();
+  let position = 0;
+
+  function apply(event) {
+    if (event.type === 'leg') {
+      settled.clear();
+      frontier.clear();
+    } else if (event.type === 'push') {
+      const { node, cost, priority, side } = event;
+      frontier.set(`${side}:${node}`, { node, cost, priority, side });
+    } else if (event.type === 'settle') {
+      frontier.delete(`${event.side}:${event.node}`);
+      settled.set(event.node, event.side);
+    }
+  }
+
+  return {
+    settled,
+    frontier,
+    get position() { return position; },
+    get total() { return events.length; },
+    get done() { return position >= events.length; },
+    step() {
+      if (position >= events.length) return null;
+      const event = events[position++];
+      apply(event);
+      return event;
+    },
+    peek() {
+      return position < events.length ? events[position] : null;
+    },
+    queue(limit = Infinity) {
+      return [...frontier.values()].sort((a, b) => a.priority - b.priority).slice(0, limit);
+    },
+  };
+}
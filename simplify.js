@@ -0,0 +1,110 @@
+// simplify.js - contract chains of degree-2 nodes into single edges
+// Contract:
+//   contractGraph(graph): { nodes, edges, adjacency, restrictions, stats }
+//     A node is contracted away when the road just passes through it: exactly two neighbours,
+//     traversable the same way in both directions (two-way: in and out to both, one-way: in from
+//     one, out to the other), and every edge touching it has the same way, name, ref, highway and
+//     surface. Turn-restriction via nodes always stay.
+//     Chain edges: weight and duration are summed, attributes are those of the chain, and
+//       geometry: Array<{ lat, lng }> (first and last are the end nodes) keeps the full shape;
+//       parts: the original edges, in order. Edges that were not merged are kept as they are.
+//     stats: { before: { nodes, edges }, after: { nodes, edges } }
+// Use edgePoints (geo.js) wherever an edge is drawn or measured along its shape.
+
+import { edgePoints } from './geo.js';
+
+const SAME_ROAD_KEYS = ['way', 'name', 'ref', 'highway', 'surface', 'unpaved'];
+
+function sameRoad(a, b) {
+  return SAME_ROAD_KEYS.every(k => a[k] === b[k]);
+}
+
+export function contractGraph(graph) {
+  const { nodes, edges, adjacency, restrictions = {} } = graph;
+  const incoming = new Map();
+  for (const e of edges) {
+    if (!incoming.has(e.to)) incoming.set(e.to, []);
+    incoming.get(e.to).push(e);
+  }
+
+  // Pass-through test for every node
+  const passThrough = new Set();
+  for (const n of nodes) {
+    if (restrictions[n.id]) continue;
+    const outs = adjacency[n.id] || [];
+    const ins = incoming.get(n.id) || [];
+    const all = [...outs, ...ins];
+    if (!all.length || !all.every(e => sameRoad(e, all[0]))) continue;
+    const outTo = outs.map(e => e.to);
+    const inFrom = ins.map(e => e.from);
+    if (outTo.includes(n.id)) continue; // self loop
+    const twoWay = outs.length === 2 && ins.length === 2 && outTo[0] !== outTo[1]
+      && inFrom.includes(outTo[0]) && inFrom.includes(outTo[1]);
+    const oneWay = outs.length === 1 && ins.length === 1 && outTo[0] !== inFrom[0];
+    if (twoWay || oneWay) passThrough.add(n.id);
+  }
+
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const kept = nodes.filter(n => !passThrough.has(n.id));
+  const contracted = [];
+  const used = new Set(); // original edges already part of a chain
+
+  function walk(start) {
+    for (const first of adjacency[start] || []) {
+      if (used.has(first)) continue;
+      const parts = [first];
+      used.add(first);
+      let edge = first;
+      while (passThrough.has(edge.to) && edge.to !== start) {
+        const prev = edge.from;
+        const next = adjacency[edge.to].find(e => e.to !== prev) || adjacency[edge.to][0];
+        if (used.has(next)) break;
+        parts.push(next);
+        used.add(next);
+        edge = next;
+      }
+      if (parts.length === 1) {
+        contracted.push(first);
+        continue;
+      }
+      let weight = 0;
+      let duration = 0;
+      for (const p of parts) {
+        weight += p.weight;
+        duration += p.duration;
+      }
+      const getNode = id => byId.get(id);
+      const geometry = [getNode(start), ...parts.flatMap(p => edgePoints(p, getNode).slice(1))]
+        .map(n => ({ lat: n.lat, lng: n.lng }));
+      const chain = { ...first, from: start, to: edge.to, weight, geometry, parts };
+      if (Number.isFinite(duration)) chain.duration = duration;
+      else delete chain.duration;
+      contracted.push(chain);
+    }
+  }
+
+  for (const n of kept) walk(n.id);
+  // Loops made only of pass-through nodes: keep one node of each so the loop survives
+  for (const n of nodes) {
+    if (!passThrough.has(n.id) || (adjacency[n.id] || []).every(e => used.has(e))) continue;
+    passThrough.delete(n.id);
+    kept.push(n);
+    walk(n.id);
+  }
+
+  const outAdjacency = Object.create(null);
+  for (const n of kept) outAdjacency[n.id] = [];
+  for (const e of contracted) outAdjacency[e.from].push(e);
+
+  return {
+    ...graph,
+    nodes: kept,
+    edges: contracted,
+    adjacency: outAdjacency,
+    restrictions,
+    stats: {
+      before: { nodes: nodes.length, edges: edges.length },
+      after: { nodes: kept.length, edges: contracted.length },
+    },
+  };
+}
@@ -0,0 +1,234 @@
+// spatial.js - grid spatial index over graph edges, and snapping clicks onto the road network
+// Contract:
+//   buildSpatialIndex(adjacency, getNode): index      buckets every edge segment into grid cells
+//     (edges with a geometry, see simplify.js, contribute one segment per piece of their shape)
+//   nearestEdge(index, latlng, { filter, maxDistance }): { edge, from, t, point, distance } | null
+//     edge: the adjacency entry (from -> edge.to), t: 0..1 position of the projection along its length,
+//     point: projected { lat, lng }, distance: meters from latlng; filter(from, edge) skips edges;
+//     null when no edge lies within maxDistance meters (default: no limit)
+//   edgesNear(index, latlng, radius, { filter }): Array<snap>   every edge within radius meters,
+//     nearest first, in the same shape as nearestEdge
+//   insertVirtualNode(graph, snap, { id }): { id, lat, lng, virtual: true }
+//     splits the snapped edge (and its reverse twin) at snap.point by adding edges through a new
+//     node; the original edges stay, so removing the node restores the graph exactly. Pass id to
+//     recreate a node made elsewhere (the route worker mirrors the page's virtual nodes)
+//   removeVirtualNode(graph, id)
+
+import { haversine, edgePoints, sliceLine } from './geo.js';
+
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LNG = 111320; // at the equator, scaled by cos(lat)
+
+export function buildSpatialIndex(adjacency, getNode) {
+  const segments = [];
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const from of Object.keys(adjacency)) {
+    for (const edge of adjacency[from]) {
+      const points = edgePoints(edge, getNode);
+      if (points.some(p => !p)) continue;
+      // t0 / t1: where each piece starts and ends along the edge, as fractions of its length
+      const lengths = [0];
+      for (let i = 1; i < points.length; i++) lengths.push(lengths[i - 1] + haversine(points[i - 1], points[i]));
+      const total = lengths[lengths.length - 1] || 1;
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        segments.push({ from, edge, a, b, t0: lengths[i - 1] / total, t1: lengths[i] / total });
+        south = Math.min(south, a.lat, b.lat); north = Math.max(north, a.lat, b.lat);
+        west = Math.min(west, a.lng, b.lng); east = Math.max(east, a.lng, b.lng);
+      }
+    }
+  }
+
+  // Aim for a handful of segments per cell
+  const area = Math.max(1e-8, (north - south) * (east - west));
+  const cellDeg = Math.min(0.05, Math.max(0.0002, Math.sqrt(area / Math.max(1, segments.length) * 4)));
+  const cells = new Map();
+  for (const seg of segments) {
+    const x0 = Math.floor(Math.min(seg.a.lng, seg.b.lng) / cellDeg);
+    const x1 = Math.floor(Math.max(seg.a.lng, seg.b.lng) / cellDeg);
+    const y0 = Math.floor(Math.min(seg.a.lat, seg.b.lat) / cellDeg);
+    const y1 = Math.floor(Math.max(seg.a.lat, seg.b.lat) / cellDeg);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x},${y}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(seg);
+      }
+    }
+  }
+
+  return {
+    cellDeg,
+    cells,
+    segmentCount: segments.length,
+    extent: segments.length ? { south, west, north, east } : null,
+  };
+}
+
+// Project p onto segment a-b in a local equirectangular frame (good enough at street scale)
+function projectOnSegment(p, a, b) {
+  const kx = M_PER_DEG_LNG * Math.cos(p.lat * Math.PI / 180);
+  const ax = (a.lng - p.lng) * kx, ay = (a.lat - p.lat) * M_PER_DEG_LAT;
+  const bx = (b.lng - p.lng) * kx, by = (b.lat - p.lat) * M_PER_DEG_LAT;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+  const px = ax + t * dx, py = ay + t * dy;
+  return { t, distance: Math.sqrt(px * px + py * py) };
+}
+
+export function nearestEdge(index, latlng, { filter = null, maxDistance = Infinity } = {}) {
+  if (!index || !index.extent) return null;
+  const p = { lat: latlng.lat, lng: latlng.lng };
+  const cx = Math.floor(p.lng / index.cellDeg);
+  const cy = Math.floor(p.lat / index.cellDeg);
+  const cellMeters = index.cellDeg * Math.min(M_PER_DEG_LAT, M_PER_DEG_LNG * Math.cos(p.lat * Math.PI / 180));
+
+  // Rings of cells around the click, from the first one reaching the indexed extent until no
+  // unvisited cell can hold anything closer (or anything within maxDistance)
+  const { south, west, north, east } = index.extent;
+  const x0 = Math.floor(west / index.cellDeg), x1 = Math.floor(east / index.cellDeg);
+  const y0 = Math.floor(south / index.cellDeg), y1 = Math.floor(north / index.cellDeg);
+  const minRing = Math.max(0, x0 - cx, cx - x1, y0 - cy, cy - y1);
+  const maxRing = Math.min(
+    Math.max(Math.abs(cx - x0), Math.abs(cx - x1), Math.abs(cy - y0), Math.abs(cy - y1)),
+    Math.ceil(maxDistance / cellMeters),
+  );
+  let best = null;
+  const visit = (x, y) => {
+    for (const seg of index.cells.get(`${x},${y}`) || []) {
+      if (filter && !filter(seg.from, seg.edge)) continue;
+      const { t, distance } = projectOnSegment(p, seg.a, seg.b);
+      if (!best || distance < best.distance) best = { seg, t, distance };
+    }
+  };
+  for (let r = minRing; r <= maxRing; r++) {
+    // Only the cells on the ring's border, clipped to the extent: top and bottom rows, then the sides
+    for (const y of r ? [cy - r, cy + r] : [cy]) {
+      if (y < y0 || y > y1) continue;
+      for (let x = Math.max(x0, cx - r); x <= Math.min(x1, cx + r); x++) visit(x, y);
+    }
+    for (const x of r ? [cx - r, cx + r] : []) {
+      if (x < x0 || x > x1) continue;
+      for (let y = Math.max(y0, cy - r + 1); y <= Math.min(y1, cy + r - 1); y++) visit(x, y);
+    }
+    if (best && best.distance <= r * cellMeters) break;
+  }
+  if (!best || best.distance > maxDistance) return null;
+  return snapResult(best.seg, best.t, best.distance);
+}
+
+export function edgesNear(index, latlng, radius, { filter = null } = {}) {
+  if (!index || !index.extent) return [];
+  const p = { lat: latlng.lat, lng: latlng.lng };
+  const cx = Math.floor(p.lng / index.cellDeg);
+  const cy = Math.floor(p.lat / index.cellDeg);
+  const cellMeters = index.cellDeg * Math.min(M_PER_DEG_LAT, M_PER_DEG_LNG * Math.cos(p.lat * Math.PI / 180));
+  const reach = Math.ceil(radius / cellMeters);
+  // Cells outside the indexed extent are empty; a wide radius (hovering zoomed out) must not walk them
+  const { south, west, north, east } = index.extent;
+  const x0 = Math.max(cx - reach, Math.floor(west / index.cellDeg));
+  const x1 = Math.min(cx + reach, Math.floor(east / index.cellDeg));
+  const y0 = Math.max(cy - reach, Math.floor(south / index.cellDeg));
+  const y1 = Math.min(cy + reach, Math.floor(north / index.cellDeg));
+  const seen = new Set(); // long segments sit in several cells
+  const found = [];
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      for (const seg of index.cells.get(`${x},${y}`) || []) {
+        if (seen.has(seg)) continue;
+        seen.add(seg);
+        if (filter && !filter(seg.from, seg.edge)) continue;
+        const { t, distance } = projectOnSegment(p, seg.a, seg.b);
+        if (distance <= radius) found.push(snapResult(seg, t, distance));
+      }
+    }
+  }
+  return found.sort((a, b) => a.distance - b.distance);
+}
+
+function snapResult(seg, t, distance) {
+  return {
+    edge: seg.edge,
+    from: seg.from,
+    t: seg.t0 + t * (seg.t1 - seg.t0),
+    point: { lat: seg.a.lat + t * (seg.b.lat - seg.a.lat), lng: seg.a.lng + t * (seg.b.lng - seg.a.lng) },
+    distance,
+  };
+}
+
+// Virtual node bookkeeping per graph: which virtual points sit on which original edge
+const virtualStates = new WeakMap();
+let virtualCounter = 0;
+
+function virtualState(graph) {
+  let state = virtualStates.get(graph);
+  if (!state) {
+    state = {
+      points: new Map(), // original edge -> Array<{ id, t }>
+      chains: new Map(), // original edge -> split edges currently in the adjacency
+      froms: new Map(), // original edge -> its tail node id
+      nodes: new Map(), // virtual id -> original edges it splits
+    };
+    virtualStates.set(graph, state);
+  }
+  return state;
+}
+
+// Replace the split edges of `edge` with a fresh chain from -> v1 -> v2 ... -> edge.to
+function rebuildChain(graph, state, edge) {
+  for (const piece of state.chains.get(edge) || []) {
+    const list = graph.adjacency[piece.from];
+    if (!list) continue;
+    const i = list.indexOf(piece);
+    if (i >= 0) list.splice(i, 1);
+  }
+  const points = (state.points.get(edge) || []).slice().sort((p, q) => p.t - q.t);
+  if (!points.length) {
+    state.chains.delete(edge);
+    state.points.delete(edge);
+    return;
+  }
+  const seq = [{ id: state.froms.get(edge), t: 0 }, ...points, { id: edge.to, t: 1 }];
+  const chain = [];
+  for (let i = 0; i < seq.length - 1; i++) {
+    const f = seq[i + 1].t - seq[i].t;
+    const piece = { ...edge, from: seq[i].id, to: seq[i + 1].id, weight: edge.weight * f, parent: edge };
+    if (Number.isFinite(edge.duration)) piece.duration = edge.duration * f;
+    if (edge.geometry) piece.geometry = sliceLine(edge.geometry, seq[i].t, seq[i + 1].t);
+    delete piece.parts;
+    graph.adjacency[piece.from].push(piece);
+    chain.push(piece);
+  }
+  state.chains.set(edge, chain);
+}
+
+export function insertVirtualNode(graph, snap, { id = `v${++virtualCounter}` } = {}) {
+  const state = virtualState(graph);
+  const node = { id, lat: snap.point.lat, lng: snap.point.lng, virtual: true };
+  graph.adjacency[id] = [];
+
+  // The reverse direction of the same road (if it is two-way) is split at the same point
+  const twins = (graph.adjacency[snap.edge.to] || [])
+    .filter(e => e.to === snap.from && e.way === snap.edge.way && !e.parent);
+  const split = [[snap.edge, snap.from, snap.t], ...twins.map(e => [e, snap.edge.to, 1 - snap.t])];
+  for (const [edge, from, t] of split) {
+    state.froms.set(edge, from);
+    if (!state.points.has(edge)) state.points.set(edge, []);
+    state.points.get(edge).push({ id, t });
+    rebuildChain(graph, state, edge);
+  }
+  state.nodes.set(id, split.map(([edge]) => edge));
+  return node;
+}
+
+export function removeVirtualNode(graph, id) {
+  const state = virtualState(graph);
+  for (const edge of state.nodes.get(id) || []) {
+    state.points.set(edge, (state.points.get(edge) || []).filter(p => p.id !== id));
+    rebuildChain(graph, state, edge);
+  }
+  state.nodes.delete(id);
+  delete graph.adjacency[id];
+}
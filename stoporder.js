@@ -0,0 +1,63 @@
+// stoporder.js - visiting order for multi-stop routes
+// Contract:
+//   buildCostMatrix(adjacency, ids, opts): number[][]   matrix[i][j] = route cost from ids[i] to ids[j]
+//     (one one-to-many search per stop; Infinity where unreachable; opts as in routing.js)
+//   optimizeStopOrder(matrix, { fixedEnd }): number[]   order of stop indices, always starting at 0
+//     Nearest neighbour to get a tour, then 2-opt until no reversal improves it.
+//     With fixedEnd the last stop stays last; otherwise it may be visited anywhere after the start.
+
+import { shortestPathTree } from './routing.js';
+
+export function buildCostMatrix(adjacency, ids, opts = {}) {
+  return ids.map((from) => {
+    const { dist } = shortestPathTree(adjacency, from, { ...opts, targets: ids });
+    return ids.map((to) => (dist.has(to) ? dist.get(to) : Infinity));
+  });
+}
+
+function orderCost(matrix, order) {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) total += matrix[order[i]][order[i + 1]];
+  return total;
+}
+
+export function optimizeStopOrder(matrix, { fixedEnd = false } = {}) {
+  const n = matrix.length;
+  if (n <= 2) return [...Array(n).keys()];
+  const last = n - 1;
+
+  // Nearest neighbour from the start over every stop that is free to move
+  const order = [0];
+  const free = new Set([...Array(n).keys()].filter(i => i !== 0 && !(fixedEnd && i === last)));
+  while (free.size) {
+    const here = order[order.length - 1];
+    let next = null;
+    for (const i of free) {
+      if (next === null || matrix[here][i] < matrix[here][next]) next = i;
+    }
+    order.push(next);
+    free.delete(next);
+  }
+  if (fixedEnd) order.push(last);
+
+  // 2-opt: reverse order[i..j] while that shortens the route. Costs may be asymmetric
+  // (one-way streets), so each candidate is scored in full rather than by its two changed legs.
+  const lastMovable = fixedEnd ? n - 2 : n - 1;
+  let best = orderCost(matrix, order);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let j = i + 1; j <= lastMovable; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const cost = orderCost(matrix, candidate);
+        if (cost < best - 1e-9) {
+          order.splice(0, n, ...candidate);
+          best = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
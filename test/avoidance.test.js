@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGridGraph } from '../graph.js';
+import { buildRoadGraph } from '../osm.js';
+import { contractGraph } from '../simplify.js';
+import { dijkstra, astar, bidirectional } from '../routing.js';
+import { edgeFactors, edgeFactorOption, ruleEdges, parseRules, DEFAULT_PENALTY } from '../avoidance.js';
+import { insertVirtualNode } from '../spatial.js';
+import { createRouteService } from '../routeworker.js';
+import { packGraph } from '../packgraph.js';
+import { loadFixture, nodeMap } from './helpers.js';
+
+// Square zone of half-size d degrees around a point
+function zoneAround(p, d, extra = {}) {
+  const points = [[-d, -d], [-d, d], [d, d], [d, -d]].map(([a, b]) => ({ lat: p.lat + a, lng: p.lng + b }));
+  return { id: 'z', type: 'zone', mode: 'avoid', factor: 5, points, enabled: true, ...extra };
+}
+
+function routeWith(graph, rules, start, goal, run = dijkstra) {
+  const nodes = nodeMap(graph);
+  const edgeFactor = edgeFactorOption(edgeFactors(rules, graph.edges, id => nodes.get(id)));
+  return run(graph.adjacency, start, goal, { nodes, edgeFactor });
+}
+
+// 5 x 5 grid, ids row by row; node 12 is the center
+const grid = buildGridGraph({ lat: 30.73, lng: 76.78 }, 5, 5, 0.001);
+const center = grid.nodes[12];
+
+test('avoided zones are never routed through, by any algorithm', () => {
+  const plain = dijkstra(grid.adjacency, '10', '14');
+  assert.deepEqual(plain.path, ['10', '11', '12', '13', '14']);
+  const rules = [zoneAround(center, 0.0003)];
+  for (const run of [dijkstra, astar, bidirectional]) {
+    const result = routeWith(grid, rules, '10', '14', run);
+    assert.ok(!result.path.includes('12'));
+    assert.ok(result.distance > plain.distance);
+  }
+  // An edge only crossing the zone counts too: this zone holds no node, just the middle of 11-12
+  const between = { lat: center.lat, lng: center.lng - 0.0005 };
+  assert.ok(!routeWith(grid, [zoneAround(between, 0.0001)], '10', '14').edges.some(e => e.from === '11' && e.to === '12'));
+});
+
+test('penalty zones make roads dearer instead of closing them', () => {
+  const plain = dijkstra(grid.adjacency, '10', '14');
+  const slight = routeWith(grid, [zoneAround(center, 0.0003, { mode: 'penalty', factor: 1.1 })], '10', '14');
+  assert.deepEqual(slight.path, plain.path);
+  assert.ok(slight.distance > plain.distance);
+  const steep = routeWith(grid, [zoneAround(center, 0.0003, { mode: 'penalty', factor: 10 })], '10', '14');
+  assert.ok(!steep.path.includes('12'));
+  // Disabled rules do nothing
+  assert.equal(edgeFactors([zoneAround(center, 0.0003, { enabled: false })], grid.edges, id => nodeMap(grid).get(id)).size, 0);
+});
+
+test('closures match their road in both directions, also after contraction', () => {
+  const town = buildRoadGraph(loadFixture('town.json'), { profile: 'car' });
+  const nodes = nodeMap(town);
+  const getNode = id => nodes.get(id);
+  const edge = town.edges.find(e => e.way === 'w500');
+  const a = getNode(edge.from);
+  const b = getNode(edge.to);
+  const closure = { id: 'c', type: 'closure', point: { lat: (a.lat + b.lat) / 2, lng: (a.lng + b.lng) / 2 }, way: 'w500', enabled: true };
+  const closed = ruleEdges(closure, town.edges, getNode);
+  assert.deepEqual(closed.map(e => `${e.from}>${e.to}`).sort(), [`${edge.from}>${edge.to}`, `${edge.to}>${edge.from}`].sort());
+  assert.equal(routeWith(town, [closure], edge.from, edge.to).edges.includes(edge), false);
+  // Another way at the same spot is not closed
+  assert.equal(ruleEdges({ ...closure, way: 'w999' }, town.edges, getNode).length, 0);
+
+  const simple = contractGraph(town);
+  const simpleNodes = nodeMap(simple);
+  const chain = ruleEdges(closure, simple.edges, id => simpleNodes.get(id));
+  assert.ok(chain.length >= 1 && chain.every(e => e.way === 'w500'));
+});
+
+test('virtual pieces of a split edge share its factor', () => {
+  const graph = buildGridGraph({ lat: 30.73, lng: 76.78 }, 3, 3, 0.001);
+  const edge = graph.adjacency['3'].find(e => e.to === '4');
+  const nodes = nodeMap(graph);
+  const factors = edgeFactors([zoneAround(nodes.get('4'), 0.0002, { mode: 'penalty', factor: 3 })], graph.edges, id => nodes.get(id));
+  const node = insertVirtualNode(graph, { edge, from: '3', t: 0.5, point: { lat: nodes.get('3').lat, lng: nodes.get('3').lng + 0.0005 } });
+  const piece = graph.adjacency[node.id].find(e => e.to === '4');
+  assert.equal(edgeFactorOption(factors)(piece), 3);
+});
+
+test('the route worker applies the rules it is sent', () => {
+  const service = createRouteService();
+  service.handle({ id: 1, type: 'load', graph: packGraph(grid).packed });
+  const query = rules => service.handle({ id: 2, type: 'route', algorithm: 'astar', stops: ['10', '14'], opts: {}, rules }).reply;
+  assert.equal(query([]).legs[0].path.length, 5);
+  assert.ok(!query([zoneAround(center, 0.0003)]).legs[0].path.includes('12'));
+  // Walling off the whole grid leaves no route
+  assert.equal(query([zoneAround(center, 0.01)]).failedLeg, 0);
+});
+
+test('parseRules keeps well-formed rules only', () => {
+  const zone = zoneAround(center, 0.0003);
+  const closure = { id: 'c', type: 'closure', point: { lat: 1, lng: 2 }, enabled: true };
+  const text = JSON.stringify([zone, closure, { id: 'x', type: 'zone', points: [] }, { type: 'closure', point: { lat: 1, lng: 2 } }, null]);
+  assert.deepEqual(parseRules(text), [zone, closure]);
+  assert.deepEqual(parseRules(null), []);
+  assert.deepEqual(parseRules('{"not": "a list"}'), []);
+});
+
+test('penalty factors below 1 fall back to the default, so no zone makes roads cheaper', () => {
+  const cheap = zoneAround(center, 0.0003, { mode: 'penalty', factor: 0.2 });
+  const plain = dijkstra(grid.adjacency, '10', '14');
+  assert.equal(routeWith(grid, [cheap], '10', '14').distance, routeWith(grid, [{ ...cheap, factor: DEFAULT_PENALTY }], '10', '14').distance);
+  assert.ok(routeWith(grid, [cheap], '10', '14').distance > plain.distance);
+  assert.equal(parseRules(JSON.stringify([cheap]))[0].factor, DEFAULT_PENALTY);
+  assert.equal(parseRules(JSON.stringify([{ ...cheap, factor: 2 }]))[0].factor, 2);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { runCli } from '../cli.js';
+import { fixturePath } from './helpers.js';
+
+const FROM = '30.7301,76.7811';
+const TO = '30.7359,76.7861';
+
+test('the CLI prints distance, duration and path', async () => {
+  const { code, output } = await runCli([fixturePath('town.json'), '--from', FROM, '--to', TO]);
+  assert.equal(code, 0);
+  assert.match(output, /^Distance: [\d.]+ m$/m);
+  assert.match(output, /^Duration: \d+ s$/m);
+  assert.match(output, /^Cost: [\d.]+ \(m, Balanced\)$/m);
+  assert.match(output, /^Path \(\d+ nodes\): 30\.7\d+,76\.78\d+ -> n\d+/m);
+});
+
+test('every algorithm gives the same distance through the CLI', async () => {
+  const distances = [];
+  for (const algorithm of ['dijkstra', 'astar', 'bidirectional']) {
+    for (const simplify of [[], ['--simplify']]) {
+      const { code, output } = await runCli([fixturePath('town.json'), '--from', FROM, '--to', TO, '--algorithm', algorithm, '--format', 'json', ...simplify]);
+      assert.equal(code, 0);
+      distances.push(JSON.parse(output).distance);
+    }
+  }
+  for (const d of distances) assert.ok(Math.abs(d - distances[0]) < 1e-6, `${d} vs ${distances[0]}`);
+});
+
+test('cost presets change the cost, not the meters of the same route', async () => {
+  const run = async (...extra) => JSON.parse((await runCli([fixturePath('town.json'), '--from', FROM, '--to', TO, '--format', 'json', ...extra])).output);
+  const plain = await run();
+  assert.ok(Math.abs(plain.cost - plain.distance) < 1e-6);
+  const main = await run('--costs', 'Main roads');
+  assert.ok(main.cost > main.distance);
+  const bad = await runCli([fixturePath('town.json'), '--from', FROM, '--to', TO, '--costs', 'Nope']);
+  assert.equal(bad.code, 2);
+});
+
+test('GeoJSON output has the stops and one line per segment', async () => {
+  const { output } = await runCli([fixturePath('town.json'), '--from', FROM, '--via', '30.7330,76.7845', '--to', TO, '--format', 'geojson']);
+  const geojson = JSON.parse(output);
+  assert.equal(geojson.type, 'FeatureCollection');
+  const points = geojson.features.filter(f => f.geometry.type === 'Point');
+  assert.deepEqual(points.map(f => f.properties.name), ['Start', 'Stop 1', 'End']);
+  const lines = geojson.features.filter(f => f.geometry.type === 'LineString');
+  assert.ok(lines.length > 0);
+  assert.deepEqual(lines[0].geometry.coordinates[0], points[0].geometry.coordinates);
+});
+
+test('unreachable points and bad arguments set the exit code', async () => {
+  const island = await runCli([fixturePath('town.json'), '--from', FROM, '--to', '30.7332,76.7955']);
+  assert.equal(island.code, 1);
+  assert.match(island.output, /No route found/);
+  const usage = await runCli([fixturePath('town.json'), '--from', FROM]);
+  assert.equal(usage.code, 2);
+  assert.match(usage.output, /^Usage:/m);
+});
+
+test('the CLI runs as a program', async () => {
+  const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+  const { stdout } = await promisify(execFile)(process.execPath, [cli, fixturePath('junction.json'), '--from', '30.7300,76.7800', '--to', '30.7290,76.7810']);
+  assert.match(stdout, /^Path \(5 nodes\): n1 -> n2 -> n3 -> n6 -> n5$/m);
+});
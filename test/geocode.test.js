@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createGeocoder, createRateLimiter, gazetteerProvider, nominatimProvider, photonProvider } from '../geocode.js';
+
+const gazetteer = JSON.parse(readFileSync(new URL('../gazetteer.json', import.meta.url), 'utf8'));
+
+// Answer fetch() with canned JSON for the duration of fn, recording the URLs asked for
+async function withFetch(respond, fn) {
+  const original = globalThis.fetch;
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(String(url));
+    return { ok: true, json: async () => respond(new URL(url)) };
+  };
+  try {
+    await fn(urls);
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+test('the gazetteer finds places by name and the nearest place to a point', async () => {
+  const provider = gazetteerProvider(gazetteer);
+  const [first] = await provider.search('jan marg');
+  assert.equal(first.display, 'Jan Marg, Sample town');
+  assert.deepEqual(first.center, [30.73458, 76.78381]);
+  const inside = await provider.search('chandigarh', { viewbox: { south: 30.74, west: 76.8, north: 30.76, east: 76.82 }, bounded: true });
+  assert.deepEqual(inside.map(p => p.display).sort(), ['Rock Garden, Chandigarh', 'Sukhna Lake, Chandigarh']);
+  assert.equal((await provider.reverse({ lat: 30.7331, lng: 76.7846 })).display, 'Sector 4 Road, Sample town');
+  assert.equal(await provider.reverse({ lat: 0, lng: 0 }), null);
+});
+
+test('Nominatim and Photon answers become places with short street addresses', async () => {
+  await withFetch((url) => {
+    if (url.pathname === '/reverse' && url.hostname.includes('nominatim')) {
+      return { lat: '30.73', lon: '76.78', display_name: 'long, name', address: { road: 'Jan Marg', house_number: '12', suburb: 'Sector 9', city: 'Chandigarh' } };
+    }
+    if (url.pathname === '/search') return [{ display_name: 'Rock Garden', lat: '30.75', lon: '76.81', boundingbox: ['30.74', '30.76', '76.80', '76.82'] }];
+    return { features: [{ geometry: { coordinates: [76.81, 30.75] }, properties: { name: 'Rock Garden', city: 'Chandigarh', extent: [76.80, 30.76, 76.82, 30.74] } }] };
+  }, async (urls) => {
+    const nominatim = nominatimProvider();
+    assert.equal((await nominatim.reverse({ lat: 30.73, lng: 76.78 })).display, 'Jan Marg 12, Sector 9, Chandigarh');
+    const [found] = await nominatim.search('rock', { viewbox: { south: 30, west: 76, north: 31, east: 77 }, bounded: true });
+    assert.deepEqual(found.bounds, [[30.74, 76.8], [30.76, 76.82]]);
+    assert.match(urls[1], /viewbox=76%2C31%2C77%2C30&bounded=1/);
+    const [photon] = await photonProvider().search('rock');
+    assert.equal(photon.display, 'Rock Garden, Chandigarh');
+    assert.deepEqual(photon.bounds, [[30.74, 76.8], [30.76, 76.82]]);
+  });
+});
+
+test('geocoders cache results and reverse lookups that are a few meters apart', async () => {
+  let calls = 0;
+  const provider = { ...gazetteerProvider(gazetteer), minInterval: 0 };
+  const counted = {
+    ...provider,
+    search: (...args) => { calls++; return provider.search(...args); },
+    reverse: (...args) => { calls++; return provider.reverse(...args); },
+  };
+  const geocoder = createGeocoder(counted);
+  await geocoder.search('Jan Marg');
+  await geocoder.search(' jan marg ');
+  await geocoder.reverse({ lat: 30.73301, lng: 76.78452 });
+  await geocoder.reverse({ lat: 30.73303, lng: 76.78449 });
+  assert.equal(calls, 2);
+});
+
+test('the rate limiter spaces requests and skips the ones aborted while waiting', async () => {
+  const schedule = createRateLimiter(60);
+  const starts = [];
+  const task = () => { starts.push(Date.now()); return starts.length; };
+  const aborted = new AbortController();
+  const runs = [schedule(task), schedule(task, aborted.signal), schedule(task)];
+  aborted.abort();
+  const [first, second, third] = await Promise.allSettled(runs);
+  assert.equal(first.value, 1);
+  assert.equal(second.reason.name, 'AbortError');
+  assert.equal(third.value, 2);
+  assert.ok(starts[1] - starts[0] >= 55, `${starts[1] - starts[0]} ms apart`);
+});
+
+test('one caller giving up does not cancel the same request for the others', async () => {
+  let calls = 0;
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const provider = {
+    ...gazetteerProvider(gazetteer),
+    search: async (query, { signal }) => {
+      calls++;
+      await gate;
+      if (signal.aborted) throw new DOMException('The request was aborted.', 'AbortError');
+      return [{ display: query, center: [0, 0], bounds: null }];
+    },
+  };
+  const geocoder = createGeocoder(provider);
+  const typing = new AbortController();
+  const first = geocoder.search('Jan Marg', { signal: typing.signal });
+  const second = geocoder.search('jan marg', { signal: new AbortController().signal });
+  typing.abort();
+  release();
+  await assert.rejects(first, { name: 'AbortError' });
+  assert.equal((await second)[0].display, 'Jan Marg');
+  assert.equal(calls, 1);
+
+  // Nobody waiting any more: the queued request never reaches the provider, and is asked again next time
+  const alone = new AbortController();
+  const dropped = geocoder.search('sector', { signal: alone.signal });
+  alone.abort();
+  await assert.rejects(dropped, { name: 'AbortError' });
+  assert.equal(calls, 1);
+  assert.equal((await geocoder.search('sector'))[0].display, 'sector');
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GENERATORS, buildGridGraph, generateGraph } from '../graph.js';
+import { haversine } from '../geo.js';
+import { dijkstra, astar, bidirectional } from '../routing.js';
+
+const CENTER = { lat: 30.7333, lng: 76.7794 };
+const EPS = 1e-6;
+
+// Node ids reachable from the first node
+function reachable(graph) {
+  const seen = new Set([graph.nodes[0].id]);
+  const queue = [graph.nodes[0].id];
+  while (queue.length) {
+    for (const e of graph.adjacency[queue.shift()]) {
+      if (!seen.has(e.to)) {
+        seen.add(e.to);
+        queue.push(e.to);
+      }
+    }
+  }
+  return seen;
+}
+
+test('every generator keeps the graph contract and is reproducible from its seed', () => {
+  for (const kind of Object.keys(GENERATORS)) {
+    const graph = generateGraph(kind, CENTER, { seed: 7 });
+    assert.ok(graph.nodes.length > 1, kind);
+    const ids = new Set(graph.nodes.map(n => n.id));
+    assert.equal(ids.size, graph.nodes.length, `${kind}: unique ids`);
+    const pairs = new Set(graph.edges.map(e => `${e.from}|${e.to}`));
+    for (const e of graph.edges) {
+      assert.ok(ids.has(e.from) && ids.has(e.to), `${kind}: edge ends exist`);
+      assert.ok(graph.adjacency[e.from].includes(e), `${kind}: edge in adjacency`);
+      assert.ok(pairs.has(`${e.to}|${e.from}`), `${kind}: two-way`);
+      assert.equal(typeof e.unpaved, 'boolean');
+      // Never shorter than the crow flies, so A* stays exact
+      const straight = haversine(graph.nodes.find(n => n.id === e.from), graph.nodes.find(n => n.id === e.to));
+      assert.ok(e.weight >= straight - EPS, `${kind}: weight below distance`);
+    }
+    assert.deepEqual(generateGraph(kind, CENTER, { seed: 7 }), graph, `${kind}: same seed, same graph`);
+  }
+  assert.notDeepEqual(generateGraph('maze', CENTER, { seed: 1 }).edges, generateGraph('maze', CENTER, { seed: 2 }).edges);
+});
+
+test('the plain grid is the grid the page always had', () => {
+  assert.deepEqual(generateGraph('grid', CENTER, { seed: 3 }), buildGridGraph(CENTER, 7, 7, 0.0018));
+});
+
+test('generators build what their names say', () => {
+  const maze = generateGraph('maze', CENTER, { seed: 5, size: 9 });
+  assert.equal(maze.nodes.length, 81);
+  // A perfect maze is a spanning tree: connected, with one road fewer than it has cells
+  assert.equal(maze.edges.length / 2, 80);
+  assert.equal(reachable(maze).size, 81);
+
+  const grid8 = generateGraph('grid8', CENTER, { size: 3 });
+  assert.equal(grid8.adjacency['4'].length, 8);
+
+  const obstacles = generateGraph('obstacles', CENTER, { seed: 5, size: 10 });
+  assert.ok(obstacles.nodes.length < 100);
+
+  const weighted = generateGraph('weighted', CENTER, { seed: 5 });
+  assert.ok(weighted.edges.some(e => e.unpaved && e.surface !== 'paved'));
+  assert.ok(weighted.edges.some(e => e.weight > 1.5 * haversine(weighted.nodes[Number(e.from)], weighted.nodes[Number(e.to)])));
+
+  const geometric = generateGraph('geometric', CENTER, { seed: 5, size: 60 });
+  assert.equal(geometric.nodes.length, 60);
+  assert.ok(geometric.nodes.every(n => geometric.adjacency[n.id].length > 0), 'no lone points');
+});
+
+test('all algorithms agree on generated graphs', () => {
+  for (const kind of Object.keys(GENERATORS)) {
+    const graph = generateGraph(kind, CENTER, { seed: 11 });
+    const nodes = new Map(graph.nodes.map(n => [n.id, n]));
+    const start = graph.nodes[0].id;
+    const goal = graph.nodes[graph.nodes.length - 1].id;
+    const [a, b, c] = [dijkstra, astar, bidirectional].map(run => run(graph.adjacency, start, goal, { nodes }));
+    if (!Number.isFinite(a.distance)) {
+      assert.equal(b.distance, Infinity, kind);
+      assert.equal(c.distance, Infinity, kind);
+      continue;
+    }
+    assert.ok(Math.abs(a.distance - b.distance) < EPS, `${kind}: A*`);
+    assert.ok(Math.abs(a.distance - c.distance) < EPS, `${kind}: bidirectional`);
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph } from '../osm.js';
+import { buildGridGraph } from '../graph.js';
+import { contractGraph } from '../simplify.js';
+import { prepareEdges, visibleBatches } from '../graphcanvas.js';
+import { loadFixture } from './helpers.js';
+
+// Plain equirectangular pixels, 1e5 px per degree
+const project = (lat, lng) => ({ x: lng * 1e5, y: -lat * 1e5 });
+
+test('two-way roads are drawn once, one-way streets and missing nodes as they are', () => {
+  const graph = buildRoadGraph(loadFixture('junction.json'));
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const prepared = prepareEdges(graph.edges, id => byId.get(id), () => 'green');
+  const pairs = new Set(graph.edges.map(e => [e.from, e.to].sort().join('|')));
+  assert.equal(prepared.length, pairs.size);
+  const missing = prepareEdges([{ from: 'n1', to: 'nope', weight: 1 }], id => byId.get(id), () => 'green');
+  assert.deepEqual(missing, []);
+});
+
+test('only edges in view are drawn, batched by colour', () => {
+  const grid = buildGridGraph({ lat: 0, lng: 0 }, 5, 5, 0.001);
+  const byId = new Map(grid.nodes.map(n => [n.id, n]));
+  const prepared = prepareEdges(grid.edges, id => byId.get(id), e => (byId.get(e.from).lat > 0 ? 'north' : 'south'));
+  const all = visibleBatches(prepared, { south: -1, west: -1, north: 1, east: 1 }, project);
+  assert.deepEqual([...all.keys()].sort(), ['north', 'south']);
+  assert.equal([...all.values()].reduce((sum, lines) => sum + lines.length, 0), prepared.length);
+  const corner = visibleBatches(prepared, { south: -1, west: -1, north: -0.0015, east: -0.0015 }, project);
+  const drawn = [...corner.values()].flat();
+  assert.ok(drawn.length > 0 && drawn.length < prepared.length);
+  assert.equal(visibleBatches(prepared, { south: 5, west: 5, north: 6, east: 6 }, project).size, 0);
+});
+
+test('shapes lose the points that fall within the pixel tolerance', () => {
+  const graph = contractGraph(buildRoadGraph(loadFixture('town.json')));
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const prepared = prepareEdges(graph.edges, id => byId.get(id), () => 'green');
+  const view = { south: -90, west: -180, north: 90, east: 180 };
+  const count = batches => [...batches.values()].flat().reduce((sum, xy) => sum + xy.length, 0);
+  const full = count(visibleBatches(prepared, view, project, { tolerance: 0 }));
+  const coarse = visibleBatches(prepared, view, project, { tolerance: 500 });
+  assert.ok(count(coarse) < full);
+  for (const xy of [...coarse.values()].flat()) assert.ok(xy.length >= 4, 'every edge keeps both ends');
+});
@@ -0,0 +1,17 @@
+// helpers.js - shared by the test files: fixture loading and graph lookups
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+export function fixturePath(name) {
+  return fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+// Parsed JSON of test/fixtures/<name>
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+}
+
+// Node id -> node, as routing opts.nodes expects
+export function nodeMap(graph) {
+  return new Map(graph.nodes.map(n => [n.id, n]));
+}
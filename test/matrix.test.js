@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph } from '../osm.js';
+import { generateGraph } from '../graph.js';
+import { dijkstra, routeTotals } from '../routing.js';
+import { distanceMatrix, nearestOrigins, parseLocationsCSV, matrixToCSV } from '../matrix.js';
+import { loadFixture } from './helpers.js';
+
+const EPS = 1e-6;
+
+test('the matrix matches point-to-point searches, one search per origin', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'));
+  const ids = graph.nodes.map(n => n.id);
+  const origins = [ids[0], ids[Math.floor(ids.length / 2)]];
+  const destinations = [ids[3], ids[ids.length - 1], ids[0], ids[7]];
+  const opts = { restrictions: graph.restrictions, avoidUnpaved: true, unpavedFactor: 3 };
+  const { costs, lengths } = distanceMatrix(graph.adjacency, origins, destinations, opts);
+  origins.forEach((o, i) => {
+    destinations.forEach((d, j) => {
+      const route = dijkstra(graph.adjacency, o, d, opts);
+      if (!Number.isFinite(route.cost)) {
+        assert.equal(costs[i][j], Infinity);
+        return;
+      }
+      assert.ok(Math.abs(costs[i][j] - route.cost) < EPS, `${o} -> ${d}`);
+      // Ties may pick another route of the same cost, so compare lengths where the cost is all length
+      if (Math.abs(route.cost - routeTotals(route.edges).length) < EPS) {
+        assert.ok(Math.abs(lengths[i][j] - route.cost) < EPS, `${o} -> ${d} length`);
+      }
+    });
+  });
+  assert.equal(costs[0][2], 0);
+});
+
+test('lengths follow the detour a turn restriction forces', () => {
+  // A -> B -> C, but turning from w1 onto w2 at B is banned: the way round is the loop B -> D -> E -> B
+  const edges = [
+    { from: 'A', to: 'B', weight: 10, way: 'w1' },
+    { from: 'B', to: 'C', weight: 10, way: 'w2' },
+    { from: 'B', to: 'D', weight: 5, way: 'w3' },
+    { from: 'D', to: 'E', weight: 5, way: 'w3' },
+    { from: 'E', to: 'B', weight: 5, way: 'w3' },
+  ];
+  const adjacency = { A: [], B: [], C: [], D: [], E: [] };
+  for (const e of edges) adjacency[e.from].push(e);
+  const restrictions = { B: [{ from: 'w1', to: 'w2', type: 'no' }] };
+  const route = dijkstra(adjacency, 'A', 'C', { restrictions });
+  assert.equal(route.cost, 35);
+  const { costs, lengths } = distanceMatrix(adjacency, ['A'], ['C', 'B'], { restrictions });
+  assert.deepEqual(costs, [[35, 10]]);
+  assert.deepEqual(lengths, [[route.length, 10]]);
+});
+
+test('nearestOrigins picks the cheapest origin per destination', () => {
+  const graph = generateGraph('grid', { lat: 30.73, lng: 76.78 });
+  // Corners of the 7 x 7 grid against nodes next to them
+  const { costs } = distanceMatrix(graph.adjacency, ['0', '48'], ['1', '47', '8']);
+  const nearest = nearestOrigins(costs);
+  assert.deepEqual(nearest.map(n => n.origin), [0, 1, 0]);
+  assert.equal(nearest[0].cost, costs[0][0]);
+  assert.deepEqual(nearestOrigins([[Infinity], [Infinity]]), [{ origin: -1, cost: Infinity }]);
+});
+
+test('locations CSV with and without a header, and the matrix as CSV', () => {
+  const withHeader = parseLocationsCSV('Role,Lon,Lat,Name\norigin,76.78,30.73,Depot\r\ncustomer,76.79,30.74,"Shop, north"\n\n');
+  assert.deepEqual(withHeader, [
+    { name: 'Depot', lat: 30.73, lng: 76.78, role: 'origin' },
+    { name: 'Shop, north', lat: 30.74, lng: 76.79, role: 'destination' },
+  ]);
+  assert.deepEqual(parseLocationsCSV('30.73,76.78'), [{ name: '', lat: 30.73, lng: 76.78, role: '' }]);
+  assert.deepEqual(parseLocationsCSV('A;30.73;76.78'), [{ name: 'A', lat: 30.73, lng: 76.78, role: '' }]);
+  assert.throws(() => parseLocationsCSV('A,30.73,76.78\nB,north,76.79'), /Line 2/);
+
+  const csv = matrixToCSV([[12.34, Infinity], [0, 5]], ['Depot "1"', 'B'], ['x', 'y']);
+  assert.equal(csv, 'origin,x,y\n"Depot ""1""",12.3,\nB,0.0,5.0\n');
+});
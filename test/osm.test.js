@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph } from '../osm.js';
+import { graphToGeoJSON, graphFromGeoJSON } from '../geojson.js';
+import { contractGraph } from '../simplify.js';
+import { dijkstra } from '../routing.js';
+import { connectedComponents, islandSummary, pruneIslands } from '../connectivity.js';
+import { packGraph, unpackGraph } from '../packgraph.js';
+import { loadFixture } from './helpers.js';
+
+const town = loadFixture('town.json');
+const edgesOf = (graph, way) => graph.edges.filter(e => e.way === way);
+
+test('buildRoadGraph turns ways into directed edges', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  assert.equal(graph.nodes.length, town.elements.filter(el => el.type === 'node').length);
+  for (const e of graph.edges) assert.ok(graph.adjacency[e.from].includes(e));
+  // Two-way street: both directions; oneway=yes: along the way only; oneway=-1: against it
+  const way = (id) => town.elements.find(el => el.type === 'way' && el.id === id);
+  assert.equal(edgesOf(graph, 'w500').length, 2 * (way(500).nodes.length - 1));
+  const forward = edgesOf(graph, 'w504');
+  assert.equal(forward.length, way(504).nodes.length - 1);
+  assert.equal(forward[0].from, `n${way(504).nodes[0]}`);
+  const reverse = edgesOf(graph, 'w506');
+  assert.equal(reverse.length, way(506).nodes.length - 1);
+  assert.equal(reverse[0].to, `n${way(506).nodes[0]}`);
+});
+
+test('buildRoadGraph keeps road attributes and travel times', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  const primary = edgesOf(graph, 'w502')[0];
+  assert.equal(primary.name, 'Udyog Path');
+  assert.equal(primary.ref, 'NH5');
+  assert.ok(Math.abs(primary.duration - primary.weight / (60 / 3.6)) < 1e-9, 'maxspeed=60 sets the speed');
+  assert.equal(edgesOf(graph, 'w510').length, 0, 'no tracks for cars');
+  const track = edgesOf(buildRoadGraph(town, { profile: 'bicycle' }), 'w510');
+  assert.ok(track.length > 0 && track.every(e => e.unpaved && e.surface === 'gravel'));
+  assert.ok(edgesOf(graph, 'w500').every(e => !e.unpaved && e.surface === 'paved'));
+});
+
+test('profiles decide which ways are usable', () => {
+  assert.equal(edgesOf(buildRoadGraph(town, { profile: 'car' }), 'w511').length, 0);
+  assert.equal(edgesOf(buildRoadGraph(town, { profile: 'foot' }), 'w511').length, 2);
+  // Walking ignores one-way streets
+  assert.equal(edgesOf(buildRoadGraph(town, { profile: 'foot' }), 'w504').length, 2 * edgesOf(buildRoadGraph(town), 'w504').length);
+});
+
+test('turn restrictions are grouped by via node', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  const [via] = Object.keys(graph.restrictions);
+  assert.deepEqual(graph.restrictions[via], [{ from: 'w500', to: 'w508', type: 'no' }]);
+  // Pedestrians are not bound by this restriction
+  assert.equal(Object.keys(buildRoadGraph(town, { profile: 'foot' }).restrictions).length, 0);
+});
+
+test('GeoJSON export and import round trip', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  const restored = graphFromGeoJSON(JSON.parse(JSON.stringify(graphToGeoJSON(graph))));
+  assert.equal(restored.edges.length, graph.edges.length);
+  assert.deepEqual(restored.restrictions, graph.restrictions);
+  const a = dijkstra(graph.adjacency, 'n1000', 'n1053', { restrictions: graph.restrictions });
+  const b = dijkstra(restored.adjacency, 'n1000', 'n1053', { restrictions: restored.restrictions });
+  assert.ok(Math.abs(a.distance - b.distance) < 1e-6);
+});
+
+test('contracting degree-2 chains keeps route costs and shapes', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  const simple = contractGraph(graph);
+  assert.ok(simple.nodes.length < graph.nodes.length);
+  assert.deepEqual(simple.stats.before, { nodes: graph.nodes.length, edges: graph.edges.length });
+  const kept = simple.nodes.map(n => n.id);
+  for (let i = 0; i < kept.length; i += 3) {
+    for (let j = 1; j < kept.length; j += 5) {
+      const a = dijkstra(graph.adjacency, kept[i], kept[j], { restrictions: graph.restrictions });
+      const b = dijkstra(simple.adjacency, kept[i], kept[j], { restrictions: simple.restrictions });
+      assert.equal(Number.isFinite(a.distance), Number.isFinite(b.distance));
+      if (Number.isFinite(a.distance)) assert.ok(Math.abs(a.distance - b.distance) < 1e-6);
+    }
+  }
+  for (const e of simple.edges.filter(e => e.geometry)) {
+    const from = simple.nodes.find(n => n.id === e.from);
+    assert.deepEqual(e.geometry[0], { lat: from.lat, lng: from.lng });
+  }
+});
+
+test('the island service road is reported and can be pruned', () => {
+  const graph = buildRoadGraph(town, { profile: 'car' });
+  const components = connectedComponents(graph.adjacency);
+  const islands = islandSummary(graph, components);
+  // Way 512 is cut off from the town; footway nodes the car cannot use are not islands
+  assert.equal(islands.length, 1);
+  const island = edgesOf(graph, 'w512');
+  assert.equal(islands[0].nodes, new Set(island.flatMap(e => [e.from, e.to])).size);
+  const oneWay = island.filter(e => e.from < e.to).reduce((sum, e) => sum + e.weight, 0);
+  assert.ok(Math.abs(islands[0].length - oneWay) < 1e-6);
+  assert.ok(island.every(e => components.componentOf.get(e.from) !== components.main));
+
+  const pruned = pruneIslands(graph, 5);
+  assert.deepEqual(pruned.pruned, { islands: 1, nodes: islands[0].nodes });
+  assert.equal(edgesOf(pruned, 'w512').length, 0);
+  assert.equal(pruned.nodes.length, components.sizes[components.main]);
+  assert.equal(islandSummary(pruned, connectedComponents(pruned.adjacency)).length, 0);
+  assert.deepEqual(unpackGraph(packGraph(pruned).packed).pruned, pruned.pruned);
+  // Islands as big as the limit stay
+  assert.equal(edgesOf(pruneIslands(graph, islands[0].nodes), 'w512').length, island.length);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePermalink, decodePermalink } from '../permalink.js';
+
+const base = {
+  view: { lat: 30.73, lng: 76.781, zoom: 16 },
+  roads: true,
+  avoidUnpaved: false,
+  showGraph: false,
+  profile: 'car',
+  metric: 'distance',
+  algorithm: 'dijkstra',
+  grid: null,
+  generator: null,
+  stops: [{ lat: 30.73, lng: 76.78 }, { lat: 30.729, lng: 76.781 }],
+  place: '',
+  region: '',
+};
+
+test('profile, metric and algorithm travel with the link, defaults left out', () => {
+  assert.equal(encodePermalink(base), '#map=16/30.73000/76.78100&roads=1&stops=30.730000,76.780000;30.729000,76.781000');
+  const decoded = decodePermalink(encodePermalink(base));
+  assert.equal(decoded.profile, 'car');
+  assert.equal(decoded.metric, 'distance');
+  assert.equal(decoded.algorithm, 'dijkstra');
+
+  const hash = encodePermalink({ ...base, profile: 'bicycle', metric: 'time', algorithm: 'astar' });
+  assert.match(hash, /&profile=bicycle&metric=time&algorithm=astar&/);
+  const back = decodePermalink(hash);
+  assert.equal(back.profile, 'bicycle');
+  assert.equal(back.metric, 'time');
+  assert.equal(back.algorithm, 'astar');
+  assert.deepEqual(back.stops, base.stops);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { REGIONS, findRegion, regionContains } from '../regions.js';
+import { buildRoadGraph } from '../osm.js';
+import { graphFromGeoJSON } from '../geojson.js';
+
+test('regions have unique ids and their default view inside their bounds', () => {
+  assert.equal(new Set(REGIONS.map(r => r.id)).size, REGIONS.length);
+  for (const region of REGIONS) {
+    const [[south, west], [north, east]] = region.bounds;
+    assert.ok(south < north && west < east, region.id);
+    const [lat, lng] = region.view.center;
+    assert.ok(regionContains(region, { lat, lng }), region.id);
+    assert.equal(findRegion(region.id), region);
+  }
+  assert.equal(findRegion(''), null);
+});
+
+test('bundled region graphs load and lie inside their region', () => {
+  const root = new URL('../', import.meta.url);
+  for (const region of REGIONS.filter(r => r.graph)) {
+    const data = JSON.parse(readFileSync(new URL(region.graph, root), 'utf8'));
+    const graph = Array.isArray(data.elements) ? buildRoadGraph(data) : graphFromGeoJSON(data);
+    assert.ok(graph.edges.length > 0, region.id);
+    assert.ok(graph.nodes.every(n => regionContains(region, n)), region.id);
+  }
+});
+
+test('the sample town gazetteer entries are streets of its bundled graph', () => {
+  const region = findRegion('sample-town');
+  const data = JSON.parse(readFileSync(new URL(`../${region.graph}`, import.meta.url), 'utf8'));
+  const streets = new Set(data.elements.filter(el => el.type === 'way' && el.tags && el.tags.name).map(el => el.tags.name));
+  const entries = JSON.parse(readFileSync(new URL('../gazetteer.json', import.meta.url), 'utf8'))
+    .filter(e => e.name.endsWith(', Sample town'));
+  assert.ok(entries.length > 0);
+  for (const entry of entries) {
+    assert.ok(streets.has(entry.name.replace(/, Sample town$/, '')), entry.name);
+    assert.ok(regionContains(region, entry), entry.name);
+  }
+});
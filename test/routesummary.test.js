@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph } from '../osm.js';
+import { dijkstra } from '../routing.js';
+import { haversine } from '../geo.js';
+import { summarizeRoute, runsBy, pointAlong } from '../routesummary.js';
+import { loadFixture } from './helpers.js';
+
+const EPS = 1e-6;
+
+const edge = (from, to, weight, tags = {}) => ({ from, to, weight, ...tags });
+
+test('routes break down by surface and road class', () => {
+  const edges = [
+    edge('a', 'b', 100, { surface: 'asphalt', highway: 'primary' }),
+    edge('b', 'c', 50, { surface: 'gravel', highway: 'track', unpaved: true }),
+    edge('c', 'd', 30, { highway: 'track', unpaved: true }),
+    edge('d', 'e', 20, { surface: 'asphalt', highway: 'residential' }),
+  ];
+  const summary = summarizeRoute(edges);
+  assert.equal(summary.length, 200);
+  assert.deepEqual(summary.surfaces.map(s => [s.key, s.length, s.unpaved]), [['asphalt', 120, false], ['gravel', 50, true], ['unpaved', 30, true]]);
+  assert.deepEqual(summary.classes.map(c => [c.key, c.share]), [['primary', 0.5], ['track', 0.4], ['residential', 0.1]]);
+  assert.deepEqual(summary.unpaved, { length: 80, share: 0.4 });
+  assert.deepEqual(runsBy(summary.segments, 'unpaved').map(r => [r.key, r.start, r.end]), [[false, 0, 100], [true, 100, 180], [false, 180, 200]]);
+  assert.deepEqual(summarizeRoute([]).surfaces, []);
+});
+
+test('points along a route follow its edges', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'), { profile: 'bicycle' });
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const getNode = id => byId.get(id);
+  const route = dijkstra(graph.adjacency, graph.nodes[0].id, graph.nodes[graph.nodes.length - 20].id);
+  const { segments, length } = summarizeRoute(route.edges);
+  assert.ok(Math.abs(length - route.length) < EPS);
+  assert.ok(haversine(pointAlong(segments, 0, getNode), getNode(route.path[0])) < 0.01);
+  assert.ok(haversine(pointAlong(segments, length, getNode), getNode(route.path[route.path.length - 1])) < 0.01);
+  const middle = segments[Math.floor(segments.length / 2)];
+  const at = pointAlong(segments, (middle.start + middle.end) / 2, getNode);
+  assert.equal(at.segment, middle);
+  assert.equal(pointAlong([], 10, getNode), null);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGridGraph } from '../graph.js';
+import { packGraph } from '../packgraph.js';
+import { createRouteService } from '../routeworker.js';
+
+const grid = buildGridGraph({ lat: 30.73, lng: 76.78 }, 5, 5, 0.001);
+
+// A virtual node halfway along the edge from -> to, as the page sends it
+function midpoint(from, to, id) {
+  const index = grid.edges.findIndex(e => e.from === from && e.to === to);
+  const a = grid.nodes[Number(from)];
+  const b = grid.nodes[Number(to)];
+  return { id, edge: index, from, t: 0.5, lat: (a.lat + b.lat) / 2, lng: (a.lng + b.lng) / 2 };
+}
+
+test('snaps from another graph are left out and nothing stays behind in the worker graph', () => {
+  const service = createRouteService();
+  service.handle({ id: 1, type: 'load', graph: packGraph(grid).packed });
+  const start = midpoint('0', '1', 'v-start');
+  const stale = [
+    { ...midpoint('5', '6', 'v-gone'), edge: grid.edges.length + 10 },
+    { ...midpoint('10', '11', 'v-moved'), from: '12' },
+  ];
+  const query = (virtual) => service.handle({ id: 2, type: 'route', algorithm: 'dijkstra', stops: ['v-start', '24'], virtual, opts: {} }).reply;
+
+  const clean = query([start]);
+  assert.equal(clean.error, undefined);
+  assert.equal(clean.failedLeg, -1);
+  const withStale = query([...stale, start]);
+  assert.equal(withStale.error, undefined);
+  assert.deepEqual(withStale.legs, clean.legs);
+  // The split edges were taken out again: the same query gives the same answer
+  assert.deepEqual(query([start]).legs, clean.legs);
+  assert.equal(service.handle({ id: 3, type: 'route', algorithm: 'dijkstra', stops: ['0', '24'], opts: {} }).reply.legs[0].path.length, 9);
+});
+
+test('the client transfers page graphs and keeps its worker when a query is superseded', async () => {
+  // A stand-in Worker that answers from the same route service, a tick later
+  const workers = [];
+  globalThis.Worker = class {
+    constructor() {
+      this.service = createRouteService();
+      this.posted = [];
+      this.terminated = false;
+      workers.push(this);
+    }
+    postMessage(message, transfer = []) {
+      this.posted.push({ type: message.type, transfer });
+      const { reply } = this.service.handle(message);
+      setTimeout(() => this.onmessage({ data: reply }), 0);
+    }
+    terminate() { this.terminated = true; }
+  };
+  try {
+    const { createRouteClient } = await import('../routeclient.js');
+    const client = createRouteClient();
+    await client.load(grid);
+    assert.ok(workers[0].posted[0].transfer.length > 0, 'packed arrays are transferred');
+
+    const first = client.route({ algorithm: 'dijkstra', stops: ['0', '24'], opts: {} });
+    const second = client.route({ algorithm: 'astar', stops: ['0', '24'], opts: {} });
+    await assert.rejects(first, { name: 'AbortError' });
+    const result = await second;
+    assert.equal(result.legs[0].path.length, 9);
+    assert.equal(workers.length, 1);
+    assert.equal(workers[0].terminated, false);
+    assert.deepEqual(workers[0].posted.map(p => p.type), ['load', 'route', 'route']);
+  } finally {
+    delete globalThis.Worker;
+  }
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGridGraph, seededRandom } from '../graph.js';
+import { buildRoadGraph } from '../osm.js';
+import { dijkstra, astar, bidirectional, alternativeRoutes, pathCost, routeTotals, shortestPathTree } from '../routing.js';
+import { PRESETS, normalizeModel, parseCostSettings } from '../costmodel.js';
+import { loadFixture, nodeMap } from './helpers.js';
+
+const EPS = 1e-6;
+
+// Every algorithm must find the same cost, and a path whose edges add up to it
+function assertAgree(graph, start, goal, opts = {}) {
+  const withNodes = { ...opts, nodes: nodeMap(graph), restrictions: graph.restrictions };
+  const results = [dijkstra, astar, bidirectional].map(run => run(graph.adjacency, start, goal, withNodes));
+  const [reference] = results;
+  for (const r of results) {
+    if (!Number.isFinite(reference.distance)) {
+      assert.equal(r.distance, Infinity);
+      assert.deepEqual(r.path, []);
+      continue;
+    }
+    assert.ok(Math.abs(r.distance - reference.distance) < EPS, `${start} -> ${goal}: ${r.distance} vs ${reference.distance}`);
+    assert.equal(r.path[0], start);
+    assert.equal(r.path[r.path.length - 1], goal);
+    assert.equal(r.edges.length, r.path.length - 1);
+    r.edges.forEach((e, i) => {
+      assert.equal(e.from, r.path[i]);
+      assert.equal(e.to, r.path[i + 1]);
+    });
+    assert.ok(Math.abs(pathCost(r.edges, withNodes) - r.distance) < EPS);
+  }
+  return reference;
+}
+
+test('algorithms agree on a grid', () => {
+  const grid = buildGridGraph({ lat: 30.73, lng: 76.78 }, 7, 9, 0.0018);
+  const ids = grid.nodes.map(n => n.id);
+  for (const start of ids.filter((_, i) => i % 5 === 0)) {
+    for (const goal of ids.filter((_, i) => i % 7 === 3)) assertAgree(grid, start, goal);
+  }
+});
+
+test('algorithms agree on a grid with random weights and unpaved edges', () => {
+  const random = seededRandom(7); // the generators' own PRNG, so failures reproduce
+  const grid = buildGridGraph({ lat: 0, lng: 0 }, 8, 8, 0.001);
+  for (const e of grid.edges) {
+    e.weight *= 1 + random(); // never shorter than the straight line, so A* stays admissible
+    e.unpaved = random() < 0.25;
+  }
+  const ids = grid.nodes.map(n => n.id);
+  for (let k = 0; k < 40; k++) {
+    const start = ids[Math.floor(random() * ids.length)];
+    const goal = ids[Math.floor(random() * ids.length)];
+    assertAgree(grid, start, goal);
+    assertAgree(grid, start, goal, { avoidUnpaved: true, unpavedFactor: 3 });
+    assertAgree(grid, start, goal, { metric: 'time', fallbackSpeed: 10, maxSpeed: 10 });
+  }
+});
+
+test('algorithms agree on the town fixture, with one-way streets and a turn restriction', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'), { profile: 'car' });
+  const ids = graph.nodes.map(n => n.id);
+  let unreachable = 0;
+  for (let i = 0; i < ids.length; i += 4) {
+    for (let j = 1; j < ids.length; j += 9) {
+      const r = assertAgree(graph, ids[i], ids[j]);
+      assertAgree(graph, ids[i], ids[j], { metric: 'time', maxSpeed: 130 / 3.6 });
+      if (!Number.isFinite(r.distance)) unreachable++;
+    }
+  }
+  assert.ok(unreachable > 0, 'the island is not reachable from the town');
+});
+
+test('algorithms agree when cycling around unpaved tracks', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'), { profile: 'bicycle' });
+  const ids = graph.nodes.map(n => n.id);
+  for (let i = 0; i < ids.length; i += 7) {
+    for (let j = 2; j < ids.length; j += 11) assertAgree(graph, ids[i], ids[j], { avoidUnpaved: true, unpavedFactor: 3 });
+  }
+});
+
+test('algorithms agree under every cost preset', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'), { profile: 'bicycle' });
+  const ids = graph.nodes.map(n => n.id);
+  for (const costModel of Object.values(PRESETS)) {
+    for (let i = 0; i < ids.length; i += 13) {
+      for (let j = 5; j < ids.length; j += 17) {
+        assertAgree(graph, ids[i], ids[j], { costModel, avoidUnpaved: true, unpavedFactor: costModel.unpaved });
+      }
+    }
+  }
+});
+
+test('routes report their cost and the meters actually travelled', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'), { profile: 'car' });
+  const [start, goal] = [graph.nodes[0].id, graph.nodes[graph.nodes.length - 20].id];
+  const plain = dijkstra(graph.adjacency, start, goal);
+  assert.equal(plain.cost, plain.length);
+  const costModel = normalizeModel({ highway: { residential: 4, primary: 2 } });
+  for (const run of [dijkstra, astar, bidirectional]) {
+    const r = run(graph.adjacency, start, goal, { costModel, nodes: nodeMap(graph) });
+    assert.ok(Math.abs(r.length - routeTotals(r.edges).length) < EPS);
+    assert.ok(r.cost > r.length, 'residential and primary roads cost extra');
+    assert.equal(r.distance, r.cost);
+  }
+  const unreachable = dijkstra(graph.adjacency, start, 'missing');
+  assert.equal(unreachable.cost, Infinity);
+  assert.equal(unreachable.length, Infinity);
+});
+
+test('cost models are cleaned up before use and when loaded', () => {
+  const model = normalizeModel({ unpaved: '2', surface: { gravel: 2, asphalt: 0.5, sand: 'x' }, highway: { primary: 1 }, extra: 1 });
+  assert.deepEqual(JSON.parse(JSON.stringify(model)), { unpaved: 2, surface: { gravel: 2 }, highway: {} }, 'cheaper than 1 and junk become the default 1');
+  const saved = JSON.stringify({ presets: { Mine: { unpaved: 4 }, Balanced: { unpaved: 9 }, Bad: 3 }, active: 'Mine', model: { unpaved: 4 } });
+  const settings = parseCostSettings(saved);
+  assert.deepEqual(Object.keys(settings.presets), ['Mine'], 'built-in names and broken entries are dropped');
+  assert.equal(settings.active, 'Mine');
+  assert.equal(settings.model.unpaved, 4);
+  assert.equal(parseCostSettings(null).active, 'Balanced');
+});
+
+test('turn restrictions are respected', () => {
+  const graph = buildRoadGraph(loadFixture('junction.json'));
+  // Main Road (w10) east-bound may not turn right into South Lane (w12) at n2
+  const opts = { restrictions: graph.restrictions, nodes: nodeMap(graph) };
+  for (const run of [dijkstra, astar, bidirectional]) {
+    const r = run(graph.adjacency, 'n1', 'n5', opts);
+    assert.ok(Number.isFinite(r.distance));
+    assert.ok(!r.edges.some((e, i) => i > 0 && r.edges[i - 1].way === 'w10' && e.way === 'w12' && e.from === 'n2'));
+    assert.deepEqual(r.path, ['n1', 'n2', 'n3', 'n6', 'n5']);
+  }
+  // Without restrictions the direct turn is shorter
+  assert.deepEqual(dijkstra(graph.adjacency, 'n1', 'n5').path, ['n1', 'n2', 'n5']);
+});
+
+test('one-way streets are only routed in their direction', () => {
+  const graph = buildRoadGraph(loadFixture('junction.json'));
+  assert.ok(Number.isFinite(dijkstra(graph.adjacency, 'n4', 'n2').distance));
+  assert.ok(graph.adjacency.n2.every(e => e.to !== 'n4'));
+});
+
+test('shortestPathTree matches point-to-point searches', () => {
+  const graph = buildRoadGraph(loadFixture('town.json'));
+  const source = graph.nodes[0].id;
+  const { dist } = shortestPathTree(graph.adjacency, source, { restrictions: graph.restrictions });
+  for (const n of graph.nodes.filter((_, i) => i % 6 === 0)) {
+    const r = dijkstra(graph.adjacency, source, n.id, { restrictions: graph.restrictions });
+    if (Number.isFinite(r.distance)) assert.ok(Math.abs(dist.get(n.id) - r.distance) < EPS);
+    else assert.ok(!dist.has(n.id));
+  }
+});
+
+test('alternative routes start with the optimal one and stay within the stretch limit', () => {
+  const graph = buildGridGraph({ lat: 0, lng: 0 }, 6, 6, 0.001);
+  const best = dijkstra(graph.adjacency, '0', '35');
+  const routes = alternativeRoutes(graph.adjacency, '0', '35', { k: 3, maxStretch: 1.5 });
+  assert.ok(routes.length >= 2);
+  assert.ok(Math.abs(routes[0].distance - best.distance) < EPS);
+  for (const r of routes) assert.ok(pathCost(r.edges) <= best.distance * 1.5 + EPS);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGridGraph } from '../graph.js';
+import { buildSpatialIndex, nearestEdge, edgesNear, insertVirtualNode, removeVirtualNode } from '../spatial.js';
+
+function snapshot(graph) {
+  return Object.fromEntries(Object.entries(graph.adjacency).map(([id, list]) => [id, [...list]]));
+}
+
+// The page snaps stops, the reachability origin and every matrix point onto the same graph, and
+// reuses that graph (e.g. toggling Simplify); it must come back unchanged once all of them let go
+test('a reused graph is back to its own edges once every snap is released', () => {
+  const graph = buildGridGraph({ lat: 30.73, lng: 76.78 }, 3, 3, 0.001);
+  const before = snapshot(graph);
+  const snap = (from, to, t) => {
+    const edge = graph.adjacency[from].find(e => e.to === to);
+    const a = graph.nodes[Number(from)];
+    const b = graph.nodes[Number(to)];
+    return insertVirtualNode(graph, { edge, from, t, point: { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) } }).id;
+  };
+  const ids = [snap('0', '1', 0.5), snap('3', '4', 0.25), snap('3', '4', 0.75), snap('4', '7', 0.5)];
+  assert.notDeepEqual(snapshot(graph), before);
+  assert.ok(graph.adjacency['4'].some(e => e.parent), 'the twin of a split road is split too');
+
+  for (const id of ids) removeVirtualNode(graph, id);
+  assert.deepEqual(snapshot(graph), before);
+});
+
+test('nearestEdge stays exact near the graph and gives up beyond maxDistance', () => {
+  const graph = buildGridGraph({ lat: 30.73, lng: 76.78 }, 7, 7, 0.0018);
+  const nodes = new Map(graph.nodes.map(n => [n.id, n]));
+  const index = buildSpatialIndex(graph.adjacency, id => nodes.get(id));
+  // The brute-force answer for points inside and just outside the grid
+  for (const p of [{ lat: 30.7317, lng: 76.7822 }, { lat: 30.7291, lng: 76.7761 }, { lat: 30.7402, lng: 76.7935 }]) {
+    let best = Infinity;
+    for (const snap of edgesNear(index, p, 5000)) best = Math.min(best, snap.distance);
+    assert.ok(Math.abs(nearestEdge(index, p).distance - best) < 1e-6);
+  }
+  const far = { lat: 32.73, lng: 78.78 };
+  assert.equal(nearestEdge(index, far, { maxDistance: 2000 }), null);
+  assert.ok(nearestEdge(index, far).distance > 200000, 'no limit: the grid is still found');
+  assert.equal(nearestEdge(index, { lat: 30.7317, lng: 76.7822 }, { maxDistance: 1 }), null);
+});
+
+test('edgesNear with a radius far wider than the graph still finds every edge, nearest first', () => {
+  const graph = buildGridGraph({ lat: 30.73, lng: 76.78 }, 3, 3, 0.001);
+  const nodes = new Map(graph.nodes.map(n => [n.id, n]));
+  const index = buildSpatialIndex(graph.adjacency, id => nodes.get(id));
+  const p = { lat: 31.73, lng: 77.78 };
+  const found = edgesNear(index, p, 300000);
+  assert.equal(found.length, graph.edges.length);
+  assert.equal(found[0].distance, nearestEdge(index, p).distance);
+  assert.deepEqual(edgesNear(index, p, 1000), []);
+});
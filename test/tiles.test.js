@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTileStore } from '../tiles.js';
+
+// One tile of the default 0.02° grid
+const TILE = { south: 30.72, west: 76.76, north: 30.74, east: 76.78 };
+
+// A stand-in Overpass that answers once released, and fails like fetch when its signal aborts
+function fakeOverpass() {
+  const calls = [];
+  globalThis.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+    const call = { signal, release: () => resolve({ ok: true, json: async () => ({ elements: [{ type: 'node', id: 1, lat: 30.73, lon: 76.77 }] }) }) };
+    signal.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')), { once: true });
+    calls.push(call);
+  });
+  return calls;
+}
+
+test('a tile two views share is only aborted once neither of them waits for it', async () => {
+  const realFetch = globalThis.fetch;
+  const calls = fakeOverpass();
+  try {
+    const store = createTileStore({ cache: false });
+    const first = new AbortController();
+    const second = new AbortController();
+    const a = store.ensure(TILE, { signal: first.signal });
+    const b = store.ensure(TILE, { signal: second.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(calls.length, 1, 'one fetch for both views');
+
+    first.abort();
+    await assert.rejects(a, { name: 'AbortError' });
+    assert.equal(calls[0].signal.aborted, false, 'the second view still needs it');
+    calls[0].release();
+    assert.deepEqual(await b, { added: 1, fromCache: 0 });
+    assert.equal(store.tileCount, 1);
+
+    const other = createTileStore({ cache: false });
+    const only = new AbortController();
+    const c = other.ensure(TILE, { signal: only.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    only.abort();
+    await assert.rejects(c, { name: 'AbortError' });
+    assert.equal(calls[1].signal.aborted, true, 'nobody waits any more');
+    assert.equal(other.missing(TILE).length, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
@@ -0,0 +1,128 @@
+// tiles.js - road data for larger areas, fetched as aligned Overpass tiles and merged on demand
+// Contract:
+//   tilesFor(bbox, tileDeg): Array<{ key, bbox }>   the aligned tiles covering bbox
+//   createTileStore(options): store
+//     options: profile, tileDeg (tile edge in degrees, default 0.02), concurrency (parallel
+//       requests, default 3), maxTiles (largest single request, default 64), plus anything
+//       fetchRoadData (osm.js) accepts (endpoint, cache, highwayFilter)
+//     store.ensure(bbox, { signal, onProgress(done, total) }): Promise<{ added, fromCache }>
+//       fetches the tiles of bbox that are not loaded yet; rejects with an error when bbox needs
+//       more than maxTiles tiles. added / fromCache: number of new tiles (and how many came from
+//       the offline cache)
+//     store.missing(bbox): Array<{ key, bbox }>   tiles of bbox that are not loaded yet
+//     store.data(): Overpass-style { elements } of every loaded tile, merged (for the route worker)
+//     store.tileCount: number of loaded tiles
+// Ways crossing tile borders come back from every tile they touch; elements are merged by OSM
+// type and id, so shared nodes and ways appear once and the tiles join into one network.
+// A tile two ensure() calls both need is fetched once, with its own signal: it is only aborted
+// once every call waiting for it has been aborted.
+
+import { fetchRoadData } from './osm.js';
+
+function abortError() {
+  return new DOMException('The request was aborted.', 'AbortError');
+}
+
+export function tilesFor(bbox, tileDeg) {
+  const tiles = [];
+  const x0 = Math.floor(bbox.west / tileDeg);
+  const x1 = Math.ceil(bbox.east / tileDeg) - 1;
+  const y0 = Math.floor(bbox.south / tileDeg);
+  const y1 = Math.ceil(bbox.north / tileDeg) - 1;
+  for (let y = y0; y <= Math.max(y0, y1); y++) {
+    for (let x = x0; x <= Math.max(x0, x1); x++) {
+      tiles.push({
+        key: `${x},${y}`,
+        bbox: { south: y * tileDeg, west: x * tileDeg, north: (y + 1) * tileDeg, east: (x + 1) * tileDeg },
+      });
+    }
+  }
+  return tiles;
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export function createTileStore(options = {}) {
+  const { tileDeg = 0.02, concurrency = 3, maxTiles = 64 } = options;
+  const loaded = new Set(); // tile keys
+  const pending = new Map(); // tile key -> { promise, controller, waiting }, shared by overlapping ensure() calls
+  const elements = new Map(); // 'type/id' -> Overpass element
+
+  function fetchTile(tile) {
+    const controller = new AbortController();
+    const entry = { controller, waiting: 0, settled: false };
+    entry.promise = fetchRoadData(tile.bbox, { ...options, signal: controller.signal }).then(({ data, source }) => {
+      for (const el of data.elements || []) elements.set(`${el.type}/${el.id}`, el);
+      loaded.add(tile.key);
+      return source;
+    }).finally(() => {
+      entry.settled = true;
+      if (pending.get(tile.key) === entry) pending.delete(tile.key);
+    });
+    pending.set(tile.key, entry);
+    return entry;
+  }
+
+  function waitFor(key, entry, signal) {
+    entry.waiting++;
+    if (!signal) return entry.promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.waiting--;
+        if (!entry.waiting && !entry.settled) {
+          pending.delete(key);
+          entry.controller.abort();
+        }
+        reject(abortError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async function ensure(bbox, { signal, onProgress } = {}) {
+    const all = tilesFor(bbox, tileDeg);
+    if (all.length > maxTiles) {
+      throw new Error(`This area needs ${all.length} road tiles (limit ${maxTiles}). Please zoom in.`);
+    }
+    const missing = all.filter(t => !loaded.has(t.key));
+    let done = 0;
+    let fromCache = 0;
+    if (onProgress) onProgress(0, missing.length);
+    await mapLimit(missing, concurrency, async (tile) => {
+      if (signal && signal.aborted) throw abortError();
+      const entry = pending.get(tile.key) || fetchTile(tile);
+      if (await waitFor(tile.key, entry, signal) === 'cache') fromCache++;
+      if (onProgress) onProgress(++done, missing.length);
+    });
+    return { added: missing.length, fromCache };
+  }
+
+  function data() {
+    return { elements: [...elements.values()] };
+  }
+
+  function missing(bbox) {
+    return tilesFor(bbox, tileDeg).filter(t => !loaded.has(t.key));
+  }
+
+  return {
+    tileDeg,
+    ensure,
+    missing,
+    get tileCount() { return loaded.size; },
+    data,
+  };
+}